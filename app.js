@@ -1,11 +1,46 @@
-// Local storage key for persisting form state between pages.
+// Session storage key prefix for the entry wizard's state, followed by the
+// wizard ID. It was one local storage key shared by every tab before.
 const STORAGE_KEY = "productTrackingForm";
+// Steps of the entry wizard in order; the URL's step parameter names one.
+const WIZARD_STEPS = ["entry", "destination", "summary"];
+const WIZARD_ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+// Local storage keys caching server config for offline use.
+const MASTER_DATA_KEY = "nyleneMasterData";
+const VALIDATION_RULES_KEY = "nyleneValidationRules";
+const OPEN_ORDERS_KEY = "nyleneOpenOrders";
+// IndexedDB database holding saves that could not reach the server.
+const QUEUE_DB_NAME = "nyleneConsumption";
+const QUEUE_STORE_NAME = "pendingSaves";
+// Retry backoff for queued saves, doubling up to the maximum.
+const QUEUE_RETRY_MIN_MS = 5 * 1000;
+const QUEUE_RETRY_MAX_MS = 5 * 60 * 1000;
+// Session storage key for the operator signed in on this tab.
+const SESSION_KEY = "nyleneSession";
+// Activity refreshes the server session at most this often.
+const SESSION_KEEPALIVE_MS = 60 * 1000;
+// Local storage key for the scale station this tablet sits at.
+const SCALE_STATION_KEY = "nyleneScaleStation";
+// How long Capture weight waits for a moving scale to settle.
+const SCALE_SETTLE_TIMEOUT_MS = 5 * 1000;
+const SCALE_POLL_MS = 500;
+// Roles in the server's order; each can do everything the ones before it can.
+const ROLES = ["operator", "supervisor", "admin"];
+// A line without an entry for this long is flagged on the dashboard.
+const DASHBOARD_IDLE_LINE_MINUTES = 60;
+const DASHBOARD_RECENT_ENTRIES = 20;
+const DASHBOARD_REFRESH_MS = 30 * 1000;
+const DASHBOARD_RECONNECT_MS = 5 * 1000;
 
 // Map <body data-page=""> values to page setup functions.
 const pageInitializers = {
-    form: initFormPage,
-    destination: initDestinationPage,
-    summary: initSummaryPage,
+    wizard: initWizardPage,
+    history: initHistoryPage,
+    report: initReportPage,
+    dashboard: initDashboardPage,
+    receipts: initReceiptsPage,
+    inventory: initInventoryPage,
+    admin: initAdminPage,
+    signin: initSigninPage,
 };
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -15,12 +50,37 @@ document.addEventListener("DOMContentLoaded", () => {
     if (init) {
         init();
     }
+    initPendingSaves();
+    registerServiceWorker();
 });
 
+// Keep the operator pages on the tablet through short server outages (see
+// sw.js). Browsers only allow this over HTTPS or on localhost.
+function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || !window.isSecureContext) {
+        return;
+    }
+
+    navigator.serviceWorker.register("sw.js").catch((error) => {
+        console.warn("Unable to register the service worker.", error);
+    });
+}
+
+// Each entry has a wizard ID in the URL, and its state is kept under that ID
+// in this tab's session storage, so two tabs never overwrite each other.
+function getWizardId() {
+    const id = new URLSearchParams(window.location.search).get("wizard");
+    return WIZARD_ID_PATTERN.test(id || "") ? id : "";
+}
+
 function getStoredData() {
-    // Guard against invalid or missing JSON in localStorage.
+    // Guard against invalid or missing JSON in sessionStorage.
     try {
-        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return (
+            JSON.parse(
+                sessionStorage.getItem(`${STORAGE_KEY}.${getWizardId()}`),
+            ) || {}
+        );
     } catch (error) {
         return {};
     }
@@ -28,12 +88,47 @@ function getStoredData() {
 
 function setStoredData(data) {
     // Persist the current flow state across page reloads.
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    sessionStorage.setItem(
+        `${STORAGE_KEY}.${getWizardId()}`,
+        JSON.stringify(data),
+    );
+}
+
+// The chip source is a box number, a silo or a supplier depending on type.
+function getEntrySource(data) {
+    return data.boxNumber || data.silo || data.supplier || "";
+}
+
+function getBatch(data) {
+    return Array.isArray(data.batch) ? data.batch : [];
+}
+
+// e.g. "3 boxes, 2450.5 lbs"
+function formatBatchTotal(batch) {
+    const total = batch.reduce((sum, box) => sum + Number(box.netWeight), 0);
+    const boxes = `${batch.length} ${batch.length === 1 ? "box" : "boxes"}`;
+    return `${boxes}, ${Math.round(total * 100) / 100} lbs`;
+}
+
+// The first page is done: a product and either one source with its weight
+// or a batch of boxes.
+function isFormStepComplete(data) {
+    const hasWeights =
+        getBatch(data).length > 0 || (getEntrySource(data) && data.netWeight);
+    return Boolean(hasWeights && data.product && data.operatorName);
 }
 
 function clearStoredData() {
-    // Clear the wizard state once a save completes.
-    localStorage.removeItem(STORAGE_KEY);
+    // Clear every wizard's state in this tab.
+    Object.keys(sessionStorage)
+        .filter((key) => key.startsWith(`${STORAGE_KEY}.`))
+        .forEach((key) => sessionStorage.removeItem(key));
+}
+
+// Drop this tab's entry and open the wizard afresh under a new ID.
+function startNewEntry() {
+    clearStoredData();
+    window.location.href = window.location.pathname;
 }
 
 function normalizeText(value) {
@@ -69,7 +164,611 @@ function formatDateTime(date) {
     });
 }
 
-function initFormPage() {
+function getCachedMasterData() {
+    try {
+        return JSON.parse(localStorage.getItem(MASTER_DATA_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Fetch active master data lists, falling back to the last copy seen.
+async function loadMasterData(lists) {
+    const cached = getCachedMasterData();
+    const apiBaseUrl = getApiBaseUrl();
+    const entries = await Promise.all(
+        lists.map(async (list) => {
+            try {
+                const response = await fetch(`${apiBaseUrl}/config/${list}`, {
+                    headers: getAuthHeaders(getSession()?.token),
+                });
+                if (!response.ok) {
+                    throw new Error("Master data request failed.");
+                }
+                const result = await response.json();
+                return [list, result.items];
+            } catch (error) {
+                return [list, cached[list] || []];
+            }
+        }),
+    );
+
+    const loaded = Object.fromEntries(entries);
+    localStorage.setItem(
+        MASTER_DATA_KEY,
+        JSON.stringify({ ...cached, ...loaded }),
+    );
+    return loaded;
+}
+
+// Fetch the limits the server validates against, cached for offline use.
+async function loadValidationRules() {
+    const defaults = {
+        maxNetWeight: ConsumptionValidation.DEFAULT_MAX_NET_WEIGHT,
+    };
+    try {
+        const response = await fetch(`${getApiBaseUrl()}/config/rules`, {
+            headers: getAuthHeaders(getSession()?.token),
+        });
+        if (!response.ok) {
+            throw new Error("Rules request failed.");
+        }
+        const rules = { ...defaults, ...(await response.json()) };
+        localStorage.setItem(VALIDATION_RULES_KEY, JSON.stringify(rules));
+        return rules;
+    } catch (error) {
+        try {
+            return {
+                ...defaults,
+                ...JSON.parse(localStorage.getItem(VALIDATION_RULES_KEY)),
+            };
+        } catch (parseError) {
+            return defaults;
+        }
+    }
+}
+
+// Fetch the open production orders, falling back to the last copy seen.
+// Resolves to null when there has never been a copy, so checks are skipped.
+async function loadOpenOrders() {
+    try {
+        const response = await fetch(`${getApiBaseUrl()}/orders`, {
+            headers: getAuthHeaders(getSession()?.token),
+        });
+        if (!response.ok) {
+            throw new Error("Open orders request failed.");
+        }
+        const { orders } = await response.json();
+        localStorage.setItem(OPEN_ORDERS_KEY, JSON.stringify(orders));
+        return orders;
+    } catch (error) {
+        try {
+            return JSON.parse(localStorage.getItem(OPEN_ORDERS_KEY));
+        } catch (parseError) {
+            return null;
+        }
+    }
+}
+
+// Skip membership checks for lists that could not be loaded.
+function getValidationLists(masterData) {
+    return Object.fromEntries(
+        Object.entries(masterData).filter(([, items]) => items.length > 0),
+    );
+}
+
+// Flag each invalid field and focus the first one; returns true on errors.
+function showFieldErrors(errorElement, fieldElements, errors) {
+    Object.entries(fieldElements).forEach(([field, element]) => {
+        if (errors[field]) {
+            element.setAttribute("aria-invalid", "true");
+        } else {
+            element.removeAttribute("aria-invalid");
+        }
+    });
+
+    const [firstField] = Object.keys(errors);
+    if (!firstField) {
+        return false;
+    }
+
+    setMessage(errorElement, errors[firstField]);
+    fieldElements[firstField]?.focus();
+    return true;
+}
+
+// Replace a select's options, keeping its leading placeholder.
+function fillSelectOptions(select, items) {
+    const placeholder = select.querySelector('option[value=""]');
+    select.replaceChildren(
+        ...(placeholder ? [placeholder] : []),
+        ...items.map((item) => {
+            const option = document.createElement("option");
+            option.value = item.value;
+            option.textContent = item.label;
+            return option;
+        }),
+    );
+}
+
+// Send one entry to the save endpoint and return the raw response.
+// Batches (payloads with boxes) have their own endpoint.
+function postSave(payload, token) {
+    const path = payload.boxes ? "/save/batch" : "/save";
+    return fetch(`${getApiBaseUrl()}${path}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            ...getAuthHeaders(token),
+        },
+        body: JSON.stringify(payload),
+    });
+}
+
+// Server errors, timeouts and a locked workbook are worth retrying later.
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 423 || status === 429;
+}
+
+function openQueueDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error("IndexedDB is not available."));
+            return;
+        }
+
+        const request = window.indexedDB.open(QUEUE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(QUEUE_STORE_NAME, {
+                keyPath: "queueId",
+                autoIncrement: true,
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the pending saves store and resolve its result.
+async function withQueueStore(mode, action) {
+    const database = await openQueueDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction(QUEUE_STORE_NAME, mode);
+            const request = action(transaction.objectStore(QUEUE_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        database.close();
+    }
+}
+
+// Queued saves keep the session they were made in, so the server can still
+// tell who made them after the operator signs out.
+function addPendingSave(payload, session) {
+    return withQueueStore("readwrite", (store) =>
+        store.add({
+            payload,
+            token: session.token,
+            operatorId: session.operator.id,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            rejected: false,
+            waitingForSignIn: false,
+            lastError: "",
+        }),
+    );
+}
+
+function getPendingSaves() {
+    return withQueueStore("readonly", (store) => store.getAll());
+}
+
+function updatePendingSave(entry) {
+    return withQueueStore("readwrite", (store) => store.put(entry));
+}
+
+function deletePendingSave(queueId) {
+    return withQueueStore("readwrite", (store) => store.delete(queueId));
+}
+
+const pendingSaves = {
+    retryDelay: QUEUE_RETRY_MIN_MS,
+    retryTimer: null,
+    flushing: false,
+};
+
+async function renderPendingSaves() {
+    const indicators = document.querySelectorAll("[data-pending-saves]");
+    if (indicators.length === 0) {
+        return;
+    }
+
+    let entries = [];
+    try {
+        entries = await getPendingSaves();
+    } catch (error) {
+        // Without IndexedDB there is nothing queued to report.
+    }
+
+    const rejected = entries.filter((entry) => entry.rejected).length;
+    const signIn = entries.filter(
+        (entry) => !entry.rejected && entry.waitingForSignIn,
+    ).length;
+    const waiting = entries.length - rejected - signIn;
+    const parts = [];
+    if (waiting > 0) {
+        parts.push(
+            `${waiting} ${waiting === 1 ? "entry" : "entries"} waiting to be sent`,
+        );
+    }
+    if (signIn > 0) {
+        parts.push(`${signIn} waiting for their operator to sign in`);
+    }
+    if (rejected > 0) {
+        parts.push(`${rejected} rejected by the server`);
+    }
+
+    indicators.forEach((indicator) => {
+        indicator.hidden = parts.length === 0;
+        indicator.textContent = parts.join(", ");
+    });
+}
+
+function schedulePendingRetry() {
+    if (pendingSaves.retryTimer) {
+        clearTimeout(pendingSaves.retryTimer);
+    }
+
+    pendingSaves.retryTimer = window.setTimeout(() => {
+        pendingSaves.retryTimer = null;
+        flushPendingSaves();
+    }, pendingSaves.retryDelay);
+    pendingSaves.retryDelay = Math.min(
+        pendingSaves.retryDelay * 2,
+        QUEUE_RETRY_MAX_MS,
+    );
+}
+
+// Send queued saves oldest first, stopping at the first retryable failure.
+async function flushPendingSaves() {
+    if (pendingSaves.flushing) {
+        return;
+    }
+    pendingSaves.flushing = true;
+
+    let shouldRetry = false;
+    try {
+        const entries = await getPendingSaves();
+        for (let entry of entries) {
+            if (entry.rejected) {
+                continue;
+            }
+
+            let response;
+            try {
+                response = await postSave(entry.payload, entry.token);
+                // Once the server forgets the old session, the same operator
+                // signing in again vouches for their own queued entries.
+                const session = getSession();
+                if (
+                    response.status === 401 &&
+                    session &&
+                    session.operator.id === entry.operatorId &&
+                    session.token !== entry.token
+                ) {
+                    entry = { ...entry, token: session.token };
+                    response = await postSave(entry.payload, entry.token);
+                }
+            } catch (error) {
+                shouldRetry = true;
+                break;
+            }
+
+            if (response.ok) {
+                await deletePendingSave(entry.queueId);
+                continue;
+            }
+
+            if (response.status === 401) {
+                await updatePendingSave({
+                    ...entry,
+                    attempts: entry.attempts + 1,
+                    waitingForSignIn: true,
+                    lastError: "Waiting for the operator to sign in.",
+                });
+                continue;
+            }
+
+            if (isRetryableStatus(response.status)) {
+                await updatePendingSave({
+                    ...entry,
+                    attempts: entry.attempts + 1,
+                    lastError: `HTTP ${response.status}`,
+                });
+                shouldRetry = true;
+                break;
+            }
+
+            // Right after a short outage the server still wants the unusual
+            // entry confirmed; it takes it unconfirmed once it is older.
+            const result = await response.json().catch(() => ({}));
+            if (result.code === "ANOMALY_CONFIRMATION_REQUIRED") {
+                await updatePendingSave({
+                    ...entry,
+                    attempts: entry.attempts + 1,
+                    lastError: "Waiting to save it flagged as unconfirmed.",
+                });
+                shouldRetry = true;
+                break;
+            }
+
+            // Keep entries the server refuses so nobody loses the data.
+            await updatePendingSave({
+                ...entry,
+                attempts: entry.attempts + 1,
+                rejected: true,
+                lastError: result.error || `HTTP ${response.status}`,
+            });
+        }
+    } catch (error) {
+        // IndexedDB is unavailable, so there is no queue to flush.
+    } finally {
+        pendingSaves.flushing = false;
+    }
+
+    await renderPendingSaves();
+    if (shouldRetry) {
+        schedulePendingRetry();
+    } else {
+        pendingSaves.retryDelay = QUEUE_RETRY_MIN_MS;
+    }
+}
+
+function initPendingSaves() {
+    window.addEventListener("online", () => {
+        // Connection is back, so retry now and restart the backoff.
+        pendingSaves.retryDelay = QUEUE_RETRY_MIN_MS;
+        flushPendingSaves();
+    });
+
+    renderPendingSaves();
+    flushPendingSaves();
+}
+
+// Unique ID for one pass through the wizard, so retries are not saved twice.
+function createSubmissionId() {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function getSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function setSession(session) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+    sessionStorage.removeItem(SESSION_KEY);
+}
+
+function getAuthHeaders(token) {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function hasRole(session, role) {
+    const sessionRole = session?.operator?.role || "operator";
+    return ROLES.indexOf(sessionRole) >= ROLES.indexOf(role);
+}
+
+// Send the operator to sign in, coming back to this page and wizard step
+// afterwards. A role asks for someone who can open the page, e.g. a
+// supervisor.
+function redirectToSignIn(role) {
+    const page = window.location.pathname.split("/").pop() || "index.html";
+    const params = new URLSearchParams({
+        next: `${page}${window.location.search}`,
+    });
+    if (role && role !== "operator") {
+        params.set("role", role);
+    }
+    window.location.href = `signin.html?${params}`;
+}
+
+// Fetch an API route as the signed-in user. When the server has ended the
+// session, go back to sign in as someone with the page's role.
+async function fetchWithSession(url, role) {
+    const response = await fetch(url, {
+        headers: getAuthHeaders(getSession()?.token),
+    });
+    if (response.status === 401) {
+        clearSession();
+        redirectToSignIn(role);
+    }
+    return response;
+}
+
+// End the session here and on the server. The half-finished entry is
+// cleared so the next operator on a shared tablet starts fresh. Signing out
+// on purpose revokes the session; an idle one is left to time out on the
+// server so saves still queued offline under it can send.
+async function signOut({ idle = false } = {}) {
+    const session = getSession();
+    clearSession();
+    clearStoredData();
+    if (session && !idle) {
+        try {
+            await fetch(`${getApiBaseUrl()}/session`, {
+                method: "DELETE",
+                headers: getAuthHeaders(session.token),
+            });
+        } catch (error) {
+            // The server forgets idle sessions on its own.
+        }
+    }
+    window.location.href = "signin.html";
+}
+
+// Pages need someone signed in with at least the given role. Activity keeps
+// the session alive, and the tablet signs out once it has been idle for the
+// timeout.
+function requireOperatorSession(role = "operator") {
+    const session = getSession();
+    if (!session || !hasRole(session, role)) {
+        redirectToSignIn(role);
+        return null;
+    }
+
+    const idleMs = session.idleTimeoutMinutes * 60 * 1000;
+    const isIdle = () =>
+        Date.now() - (getSession()?.lastActivity || 0) > idleMs;
+    if (isIdle()) {
+        signOut({ idle: true });
+        return null;
+    }
+
+    let lastKeepAlive = 0;
+    function recordActivity() {
+        const now = Date.now();
+        setSession({ ...session, lastActivity: now });
+        if (now - lastKeepAlive < SESSION_KEEPALIVE_MS) {
+            return;
+        }
+        lastKeepAlive = now;
+        fetch(`${getApiBaseUrl()}/session`, {
+            headers: getAuthHeaders(session.token),
+        })
+            .then((response) => {
+                // Keep the entry so the operator can finish after signing in.
+                if (response.status === 401) {
+                    clearSession();
+                    redirectToSignIn(role);
+                }
+            })
+            .catch(() => {
+                // Offline: the saves queue with this session until it's back.
+            });
+    }
+
+    ["pointerdown", "keydown"].forEach((type) => {
+        document.addEventListener(type, recordActivity, { passive: true });
+    });
+    recordActivity();
+    window.setInterval(() => {
+        if (isIdle()) {
+            signOut({ idle: true });
+        }
+    }, 15 * 1000);
+
+    document.querySelectorAll("[data-operator-name]").forEach((element) => {
+        element.textContent = session.operator.name;
+    });
+    document.querySelectorAll("[data-sign-out]").forEach((button) => {
+        button.addEventListener("click", () => signOut());
+    });
+    return session;
+}
+
+// The entry form, destination and summary are steps of one page. The step
+// is in the URL, so back and forward move between steps, and each step's
+// show() can send a link to a step that isn't ready yet back to an earlier
+// one.
+async function initWizardPage() {
+    const session = requireOperatorSession();
+    if (!session) {
+        return;
+    }
+
+    // Left by the form before entries were kept per tab.
+    localStorage.removeItem(STORAGE_KEY);
+    const sections = Array.from(document.querySelectorAll("[data-step]"));
+    let steps = {};
+
+    function getWizardUrl(step) {
+        const params = new URLSearchParams({ wizard: getWizardId() });
+        if (step !== WIZARD_STEPS[0]) {
+            params.set("step", step);
+        }
+        return `${window.location.pathname}?${params}`;
+    }
+
+    function showStep() {
+        const requested = new URLSearchParams(window.location.search).get(
+            "step",
+        );
+        const step = WIZARD_STEPS.includes(requested)
+            ? requested
+            : WIZARD_STEPS[0];
+        const redirect = steps[step]?.show();
+        if (redirect) {
+            goToStep(redirect, true);
+            return;
+        }
+
+        sections.forEach((section) => {
+            section.hidden = section.dataset.step !== step;
+        });
+        window.scrollTo(0, 0);
+    }
+
+    function goToStep(step, replace = false) {
+        if (replace) {
+            window.history.replaceState(null, "", getWizardUrl(step));
+        } else {
+            window.history.pushState(null, "", getWizardUrl(step));
+        }
+        showStep();
+    }
+
+    // A page opened without a wizard ID is a new entry; whatever this tab
+    // left unfinished under older IDs is dropped.
+    if (!getWizardId()) {
+        clearStoredData();
+        const params = new URLSearchParams(window.location.search);
+        params.set("wizard", createSubmissionId());
+        window.history.replaceState(
+            null,
+            "",
+            `${window.location.pathname}?${params}`,
+        );
+    }
+
+    document.querySelectorAll("[data-start-new]").forEach((button) => {
+        button.addEventListener("click", () => {
+            const hasEntry = Object.keys(getStoredData()).some(
+                (key) => key !== "submissionId",
+            );
+            if (
+                !hasEntry ||
+                window.confirm("Discard this entry and start a new one?")
+            ) {
+                startNewEntry();
+            }
+        });
+    });
+
+    const wizard = { goToStep };
+    steps = {
+        entry: await initEntryStep(session, wizard),
+        destination: await initDestinationStep(wizard),
+        summary: initSummaryStep(session, wizard),
+    };
+    window.addEventListener("popstate", showStep);
+    showStep();
+}
+
+async function initEntryStep(session, wizard) {
     const form = document.getElementById("box-form");
     const errorElement = document.getElementById("form-error");
     const chipTypeButtons = Array.from(
@@ -83,7 +782,12 @@ function initFormPage() {
     const chipPurchasedSelect = document.getElementById("chip-purchased");
     const productSelect = document.getElementById("product");
     const netWeightInput = document.getElementById("net-weight");
-    const operatorInput = document.getElementById("operator-name");
+    const batchAddButton = document.getElementById("batch-add");
+    const batchSection = document.getElementById("batch");
+    const batchRows = document.getElementById("batch-rows");
+    const batchTotal = document.getElementById("batch-total");
+    const lineSelect = document.getElementById("line");
+    const orderSelect = document.getElementById("production-order");
 
     if (
         !form ||
@@ -95,58 +799,20 @@ function initFormPage() {
         !chipBulkSelect ||
         !chipPurchasedSelect ||
         !productSelect ||
-        !netWeightInput ||
-        !operatorInput
+        !netWeightInput
     ) {
         return;
     }
 
-    const PURCHASED_PRODUCT_VALUE = "PURCHASED";
-    let lastManualProductSelection = "";
-
-    function ensureProductOption(select, value, label) {
-        const existing = Array.from(select.options).find(
-            (option) => option.value === value,
-        );
-        if (existing) {
-            return existing;
-        }
-
-        const option = document.createElement("option");
-        option.value = value;
-        option.textContent = label;
-        select.append(option);
-        return option;
-    }
-
-    const purchasedProductOption = ensureProductOption(
-        productSelect,
-        PURCHASED_PRODUCT_VALUE,
-        "Purchased",
-    );
-    purchasedProductOption.hidden = true;
-
-    function syncProductSelectForChipType(type) {
-        const isPurchasedChip = type === "purchased";
-
-        if (isPurchasedChip) {
-            if (productSelect.value && productSelect.value !== PURCHASED_PRODUCT_VALUE) {
-                lastManualProductSelection = productSelect.value;
-            }
-
-            purchasedProductOption.hidden = false;
-            productSelect.value = PURCHASED_PRODUCT_VALUE;
-            productSelect.disabled = true;
-            return;
-        }
+    // Build the option lists before restoring any saved selections.
+    const masterData = await loadMasterData(["products", "silos", "suppliers"]);
+    fillSelectOptions(productSelect, masterData.products);
+    fillSelectOptions(chipBulkSelect, masterData.silos);
+    fillSelectOptions(chipPurchasedSelect, masterData.suppliers);
 
-        productSelect.disabled = false;
-        purchasedProductOption.hidden = true;
-
-        if (productSelect.value === PURCHASED_PRODUCT_VALUE) {
-            productSelect.value = lastManualProductSelection || "";
-        }
-    }
+    const rules = await loadValidationRules();
+    netWeightInput.max = String(rules.maxNetWeight);
+    const openOrders = await loadOpenOrders();
 
     function getSelectedChipType() {
         const selected = chipTypeButtons.find(
@@ -168,6 +834,10 @@ function initFormPage() {
         chipBoxField.hidden = !showBox;
         chipBulkField.hidden = !showBulk;
         chipPurchasedField.hidden = !showPurchased;
+        // Only boxes can be batched.
+        if (batchAddButton) {
+            batchAddButton.hidden = !showBox;
+        }
 
         if (showBox) {
             chipBoxInput.focus();
@@ -176,8 +846,6 @@ function initFormPage() {
         } else if (showPurchased) {
             chipPurchasedSelect.focus();
         }
-
-        syncProductSelectForChipType(type);
     }
 
     chipTypeButtons.forEach((button) => {
@@ -194,8 +862,12 @@ function initFormPage() {
 
     // Pre-fill inputs from any previously saved state.
     const stored = getStoredData();
+    if (!stored.submissionId) {
+        stored.submissionId = createSubmissionId();
+        setStoredData(stored);
+    }
     // Always start with just the buttons visible.
-    // Even if a previous chip type exists in localStorage, require an explicit
+    // Even if a previous chip type is stored, require an explicit
     // selection to reveal an input field.
     setSelectedChipType("");
 
@@ -217,162 +889,541 @@ function initFormPage() {
     }
     if (stored.product) {
         productSelect.value = stored.product;
-        if (stored.product !== PURCHASED_PRODUCT_VALUE) {
-            lastManualProductSelection = stored.product;
-        }
     }
     if (stored.netWeight !== undefined && stored.netWeight !== null) {
         netWeightInput.value = stored.netWeight;
     }
-    if (stored.operatorName) {
-        operatorInput.value = stored.operatorName;
-    }
 
-    productSelect.addEventListener("change", () => {
-        if (!productSelect.disabled && productSelect.value) {
-            lastManualProductSelection = productSelect.value;
-        }
+    initBoxScanning({
+        masterData,
+        chipBoxInput,
+        productSelect,
+        netWeightInput,
+        setSelectedChipType,
     });
+    const getScaleCapture = initScaleCapture(netWeightInput, stored);
+    initOrderFields({ orders: openOrders, lineSelect, orderSelect, stored });
 
-    // Start with product enabled and "Purchased" option hidden until selected.
-    syncProductSelectForChipType("");
+    // Check the current inputs with the same rules the server applies.
+    function validateInputs(fields) {
+        return ConsumptionValidation.validateEntry(
+            {
+                chipType: getSelectedChipType(),
+                boxNumber: normalizeText(chipBoxInput.value),
+                silo: chipBulkSelect.value,
+                supplier: chipPurchasedSelect.value,
+                product: productSelect.value,
+                netWeight: netWeightInput.value,
+                line: lineSelect?.value,
+                productionOrder: orderSelect?.value,
+            },
+            {
+                lists: getValidationLists(masterData),
+                orders: openOrders || undefined,
+                maxNetWeight: rules.maxNetWeight,
+                requireChipType: true,
+                fields,
+            },
+        );
+    }
+    const fieldElements = {
+        chipType: chipTypeButtons[0],
+        boxNumber: chipBoxInput,
+        silo: chipBulkSelect,
+        supplier: chipPurchasedSelect,
+        product: productSelect,
+        netWeight: netWeightInput,
+        line: lineSelect,
+        productionOrder: orderSelect,
+    };
 
-    form.addEventListener("submit", (event) => {
-        event.preventDefault();
-        setMessage(errorElement, "");
+    // Batch mode: boxes that share the product, operator and destination.
+    const batch = getBatch(stored);
 
-        // Normalize inputs before validation and storage.
-        const chipType = getSelectedChipType();
-        const chipBoxNumber = normalizeText(chipBoxInput.value);
-        const chipBulkSilo = chipBulkSelect.value;
-        const chipPurchased = chipPurchasedSelect.value;
-        let product = productSelect.value;
-        const netWeight = normalizeText(netWeightInput.value);
-        const netWeightValue = Number.parseFloat(netWeight);
-        const operatorName = normalizeText(operatorInput.value);
-        const operatorParts = operatorName.split(/\s+/).filter(Boolean);
-
-        // Validate required fields with user-friendly messages.
-        if (!chipType) {
-            setMessage(
-                errorElement,
-                "Please select what type of chip this is.",
-            );
-            chipTypeButtons[0].focus();
+    function renderBatch() {
+        if (!batchSection || !batchRows) {
             return;
         }
+        batchSection.hidden = batch.length === 0;
+        batchRows.replaceChildren(
+            ...batch.map((box, index) => {
+                const row = document.createElement("tr");
+                [
+                    box.boxNumber,
+                    box.weightSource === "scale"
+                        ? `${box.netWeight} (scale)`
+                        : box.netWeight,
+                ].forEach((text) => {
+                    const cell = document.createElement("td");
+                    cell.textContent = text;
+                    row.append(cell);
+                });
+                const remove = document.createElement("button");
+                remove.type = "button";
+                remove.className = "btn secondary btn--small";
+                remove.textContent = "Remove";
+                remove.addEventListener("click", () => {
+                    batch.splice(index, 1);
+                    setStoredData({ ...getStoredData(), batch });
+                    renderBatch();
+                });
+                const actions = document.createElement("td");
+                actions.append(remove);
+                row.append(actions);
+                return row;
+            }),
+        );
+        setMessage(batchTotal, formatBatchTotal(batch));
+    }
 
-        let boxNumber = "";
-        if (chipType === "box") {
-            if (!chipBoxNumber) {
-                setMessage(errorElement, "Please enter a box number.");
-                chipBoxInput.focus();
-                return;
-            }
-            if (!/^[a-z0-9]+$/i.test(chipBoxNumber)) {
-                setMessage(
-                    errorElement,
-                    "Box number must be alphanumeric only.",
-                );
-                chipBoxInput.focus();
-                return;
-            }
-            boxNumber = chipBoxNumber;
-        } else if (chipType === "bulk") {
-            if (!chipBulkSilo) {
-                setMessage(errorElement, "Please select a bulk/silo option.");
-                chipBulkSelect.focus();
-                return;
-            }
-            boxNumber = chipBulkSilo;
-        } else if (chipType === "purchased") {
-            if (!chipPurchased) {
-                setMessage(
-                    errorElement,
-                    "Please select a purchased chip option.",
-                );
-                chipPurchasedSelect.focus();
-                return;
-            }
-            boxNumber = chipPurchased;
-            product = PURCHASED_PRODUCT_VALUE;
-        } else {
-            setMessage(
-                errorElement,
-                "Please select what type of chip this is.",
-            );
-            chipTypeButtons[0].focus();
-            return;
+    // Move the typed box and weight into the batch. Returns false and shows
+    // the errors when they don't pass.
+    function addCurrentBox() {
+        const { values, errors } = validateInputs([
+            "chipType",
+            "boxNumber",
+            "product",
+            "netWeight",
+        ]);
+        if (!errors.chipType && values.chipType !== "box") {
+            errors.chipType = "Batches are for boxes only.";
+        }
+        const boxKey = values.boxNumber.toLowerCase();
+        const isDuplicate = batch.some(
+            (box) => box.boxNumber.toLowerCase() === boxKey,
+        );
+        if (!errors.boxNumber && isDuplicate) {
+            errors.boxNumber = "This box is already in the batch.";
         }
+        if (showFieldErrors(errorElement, fieldElements, errors)) {
+            return false;
+        }
+
+        const scaleCapture = getScaleCapture();
+        batch.push({
+            boxNumber: values.boxNumber,
+            netWeight: values.netWeight,
+            weightSource: scaleCapture ? "scale" : "manual",
+            scaleStationId: scaleCapture?.stationId || "",
+        });
+        chipBoxInput.value = "";
+        netWeightInput.value = "";
+        // Clears the scale capture along with the weight.
+        netWeightInput.dispatchEvent(new Event("input"));
+        setStoredData({
+            ...getStoredData(),
+            chipBoxNumber: "",
+            netWeight: "",
+            batch,
+        });
+        renderBatch();
+        return true;
+    }
+
+    batchAddButton?.addEventListener("click", () => {
+        setMessage(errorElement, "");
+        if (addCurrentBox()) {
+            chipBoxInput.focus();
+        }
+    });
+    renderBatch();
 
-        if (!product) {
-            setMessage(errorElement, "Please select a product.");
-            productSelect.focus();
+    // With a batch started, a box still in the inputs joins it; empty
+    // inputs just mean the batch is complete.
+    function submitBatch() {
+        const hasCurrentBox =
+            normalizeText(chipBoxInput.value) || netWeightInput.value;
+        if (hasCurrentBox && !addCurrentBox()) {
             return;
         }
-        if (!netWeight) {
-            setMessage(errorElement, "Please enter a net weight.");
-            netWeightInput.focus();
+        const { values, errors } = validateInputs([
+            "product",
+            "line",
+            "productionOrder",
+        ]);
+        if (showFieldErrors(errorElement, fieldElements, errors)) {
             return;
         }
-        if (!Number.isFinite(netWeightValue) || netWeightValue <= 0) {
-            setMessage(errorElement, "Net weight must be a positive number.");
-            netWeightInput.focus();
+
+        setStoredData({
+            ...getStoredData(),
+            chipType: "box",
+            chipBoxNumber: "",
+            boxNumber: "",
+            silo: "",
+            supplier: "",
+            product: values.product,
+            netWeight: "",
+            line: values.line,
+            productionOrder: values.productionOrder,
+            batch,
+            operatorName: session.operator.name,
+        });
+        wizard.goToStep("destination");
+    }
+
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        setMessage(errorElement, "");
+        if (batch.length > 0) {
+            submitBatch();
             return;
         }
-        if (operatorParts.length < 2) {
-            setMessage(errorElement, "Please enter first and last name.");
-            operatorInput.focus();
+
+        // Normalize inputs before validation and storage.
+        const chipType = getSelectedChipType();
+        const chipBoxNumber = normalizeText(chipBoxInput.value);
+        const chipBulkSilo = chipBulkSelect.value;
+        const chipPurchased = chipPurchasedSelect.value;
+
+        // Validate with the same rules the server applies on save.
+        const { values, errors } = validateInputs([
+            "chipType",
+            "boxNumber",
+            "silo",
+            "supplier",
+            "product",
+            "netWeight",
+            "line",
+            "productionOrder",
+        ]);
+        if (showFieldErrors(errorElement, fieldElements, errors)) {
             return;
         }
 
+        const {
+            boxNumber,
+            silo,
+            supplier,
+            product,
+            netWeight,
+            line,
+            productionOrder,
+        } = values;
+        const scaleCapture = getScaleCapture();
+
         // Persist data and move to the destination step.
         setStoredData({
-            ...stored,
+            ...getStoredData(),
             chipType,
             chipBoxNumber,
             chipBulkSilo,
             chipPurchased,
             boxNumber,
+            silo,
+            supplier,
             product,
             netWeight,
-            operatorName,
+            line,
+            productionOrder,
+            weightSource: scaleCapture ? "scale" : "manual",
+            scaleStationId: scaleCapture?.stationId || "",
+            batch: [],
+            // Shown on the summary; the server takes the name from the session.
+            operatorName: session.operator.name,
         });
 
-        window.location.href = "destination.html";
+        wizard.goToStep("destination");
     });
+
+    // Nothing comes before the first step.
+    return { show: () => null };
 }
 
-function initDestinationPage() {
-    const form = document.getElementById("destination-form");
-    const errorElement = document.getElementById("destination-error");
-    const checkboxes = Array.from(
-        document.querySelectorAll('input[name="destination"]'),
+// Offer the open production orders on the form. Picking a line narrows the
+// orders to that line; picking an order fills in the line it runs on.
+function initOrderFields({ orders, lineSelect, orderSelect, stored }) {
+    const container = document.getElementById("order-fields");
+    if (!container || !lineSelect || !orderSelect) {
+        return;
+    }
+
+    const openOrders = orders || [];
+    container.hidden = openOrders.length === 0;
+    const lines = Array.from(
+        new Set(openOrders.map((order) => order.line).filter(Boolean)),
+    ).sort((left, right) =>
+        left.localeCompare(right, "en-US", { numeric: true }),
+    );
+    fillSelectOptions(
+        lineSelect,
+        lines.map((line) => ({ value: line, label: line })),
     );
 
-    // Prevent reaching this page without completing the first step.
-    const stored = getStoredData();
+    // Fall back to "none" when a stored value is no longer offered.
+    function selectValue(select, value) {
+        select.value = value || "";
+        if (select.selectedIndex === -1) {
+            select.value = "";
+        }
+    }
+
+    function renderOrders() {
+        const selected = orderSelect.value;
+        fillSelectOptions(
+            orderSelect,
+            openOrders
+                .filter(
+                    (order) =>
+                        !lineSelect.value ||
+                        !order.line ||
+                        order.line === lineSelect.value,
+                )
+                .map((order) => ({
+                    value: order.order,
+                    label: order.line
+                        ? `${order.order} (${order.line})`
+                        : order.order,
+                })),
+        );
+        selectValue(orderSelect, selected);
+    }
+
+    lineSelect.addEventListener("change", renderOrders);
+    orderSelect.addEventListener("change", () => {
+        const order = openOrders.find(
+            (item) => item.order === orderSelect.value,
+        );
+        if (order?.line && lineSelect.value !== order.line) {
+            lineSelect.value = order.line;
+            renderOrders();
+        }
+    });
+
+    selectValue(lineSelect, stored.line);
+    renderOrders();
+    selectValue(orderSelect, stored.productionOrder);
+}
+
+// Fill the net weight from the station's floor scale. Returns a function
+// giving the capture ({ stationId }), or null once the weight is typed over.
+function initScaleCapture(netWeightInput, stored) {
+    const panel = document.getElementById("scale-capture");
+    const stationSelect = document.getElementById("scale-station");
+    const button = document.getElementById("scale-capture-button");
+    const message = document.getElementById("scale-message");
+    let capture =
+        stored.weightSource === "scale"
+            ? { stationId: stored.scaleStationId }
+            : null;
+
+    netWeightInput.addEventListener("input", () => {
+        capture = null;
+        setMessage(message, "");
+    });
+
+    if (!panel || !stationSelect || !button) {
+        return () => capture;
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    const headers = getAuthHeaders(getSession()?.token);
+
+    async function loadStations() {
+        try {
+            const response = await fetch(`${apiBaseUrl}/scales`, { headers });
+            if (!response.ok) {
+                return;
+            }
+            const { stations } = await response.json();
+            fillSelectOptions(
+                stationSelect,
+                stations.map((station) => ({
+                    value: station.id,
+                    label: station.id,
+                })),
+            );
+            const saved = localStorage.getItem(SCALE_STATION_KEY);
+            if (stations.some((station) => station.id === saved)) {
+                stationSelect.value = saved;
+            }
+            panel.hidden = stations.length === 0;
+        } catch (error) {
+            // Offline: the weight is typed in by hand.
+        }
+    }
+
+    // Poll while the scale settles; other problems won't fix themselves.
+    async function captureWeight() {
+        const stationId = stationSelect.value;
+        localStorage.setItem(SCALE_STATION_KEY, stationId);
+        button.disabled = true;
+        setMessage(message, "Reading the scale...");
+        const deadline = Date.now() + SCALE_SETTLE_TIMEOUT_MS;
+
+        try {
+            for (;;) {
+                const response = await fetch(
+                    `${apiBaseUrl}/scale/${encodeURIComponent(stationId)}`,
+                    { headers },
+                );
+                const result = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    netWeightInput.value = String(result.weight);
+                    capture = { stationId };
+                    setMessage(
+                        message,
+                        `Captured ${result.weight} lbs from scale ${stationId}.`,
+                    );
+                    return;
+                }
+                if (result.code !== "SCALE_MOTION" || Date.now() > deadline) {
+                    throw new Error(result.error || "Unable to read the scale.");
+                }
+                await new Promise((resolve) => {
+                    window.setTimeout(resolve, SCALE_POLL_MS);
+                });
+            }
+        } catch (error) {
+            setMessage(
+                message,
+                error instanceof TypeError
+                    ? "The server can't be reached. Please type the weight."
+                    : error.message,
+            );
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    button.addEventListener("click", captureWeight);
+    loadStations();
+    return () => capture;
+}
+
+// Scanned box labels fill the box number, and the product when the label
+// has one. Wedge scanners work anywhere on the page; the camera is opt-in.
+function initBoxScanning(fields) {
+    const { masterData, chipBoxInput, productSelect, netWeightInput } = fields;
+    const cameraButton = document.getElementById("scan-camera-button");
+    const cameraPanel = document.getElementById("scan-camera");
+    const video = document.getElementById("scan-video");
+    const cancelButton = document.getElementById("scan-cancel");
+    const message = document.getElementById("scan-message");
+    const hint = message?.textContent.trim() || "";
+
+    if (!window.BoxScanner) {
+        return;
+    }
+
+    function applyScan(text) {
+        // Scans only fill in the entry step while it is showing.
+        if (chipBoxInput.closest("[data-step]")?.hidden) {
+            return;
+        }
+        const { boxNumber, product } = BoxScanner.parseBoxLabel(
+            text,
+            masterData.products.map((item) => item.value),
+        );
+        if (!boxNumber) {
+            setMessage(message, "No box number on that label. Please type it.");
+            return;
+        }
+
+        fields.setSelectedChipType("box");
+        chipBoxInput.value = boxNumber;
+        if (product) {
+            productSelect.value = product;
+        }
+        setStoredData({
+            ...getStoredData(),
+            chipType: "box",
+            chipBoxNumber: boxNumber,
+            ...(product ? { product } : {}),
+        });
+        setMessage(
+            message,
+            product
+                ? `Scanned box ${boxNumber} of ${product}.`
+                : `Scanned box ${boxNumber}.`,
+        );
+        // Move on to the first field the label didn't fill.
+        (product ? netWeightInput : productSelect).focus();
+    }
+
+    BoxScanner.listenForWedgeScans(document, applyScan);
+
     if (
-        !stored.boxNumber ||
-        !stored.product ||
-        !stored.netWeight ||
-        !stored.operatorName
+        !cameraButton ||
+        !cameraPanel ||
+        !video ||
+        !BoxScanner.isCameraAvailable()
     ) {
-        window.location.href = "index.html";
         return;
     }
 
-    if (!form || checkboxes.length === 0) {
+    let stopCamera = null;
+    function closeCamera() {
+        stopCamera?.();
+        stopCamera = null;
+        cameraPanel.hidden = true;
+        cameraButton.hidden = false;
+    }
+
+    cameraButton.hidden = false;
+    cameraButton.addEventListener("click", async () => {
+        cameraButton.hidden = true;
+        cameraPanel.hidden = false;
+        setMessage(message, "Point the camera at the box label.");
+        try {
+            stopCamera = await BoxScanner.startCameraScan(
+                video,
+                (text) => {
+                    stopCamera = null;
+                    closeCamera();
+                    applyScan(text);
+                },
+                { fallbackUrl: `${getApiBaseUrl()}/vendor/zxing.js` },
+            );
+            // Cancelled while the browser was still asking for the camera.
+            if (cameraPanel.hidden) {
+                closeCamera();
+            }
+        } catch (error) {
+            closeCamera();
+            setMessage(
+                message,
+                "The camera can't be used here. Please use the scanner or type the box number.",
+            );
+        }
+    });
+    cancelButton?.addEventListener("click", () => {
+        closeCamera();
+        setMessage(message, hint);
+    });
+}
+
+async function initDestinationStep(wizard) {
+    const form = document.getElementById("destination-form");
+    const errorElement = document.getElementById("destination-error");
+    const optionsGroup = document.getElementById("destination-options");
+
+    if (!form || !optionsGroup) {
         return;
     }
 
-    if (stored.destination) {
-        const saved = checkboxes.find(
-            (box) => box.value === stored.destination,
+    const { destinations } = await loadMasterData(["destinations"]);
+    destinations.forEach((item) => {
+        const label = document.createElement("label");
+        label.className = "checkbox-option";
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.name = "destination";
+        input.value = item.value;
+        const text = document.createElement("span");
+        text.textContent = item.label;
+        label.append(input, text);
+        optionsGroup.append(label);
+    });
+
+    const checkboxes = Array.from(
+        optionsGroup.querySelectorAll('input[name="destination"]'),
+    );
+    if (checkboxes.length === 0) {
+        setMessage(
+            errorElement,
+            "No destinations are available. Check the server connection.",
         );
-        if (saved) {
-            saved.checked = true;
-        }
     }
 
     // Enforce single-selection behavior while keeping checkbox styling.
@@ -395,109 +1446,267 @@ function initDestinationPage() {
 
         // Require a destination before moving to the summary.
         const selected = checkboxes.find((box) => box.checked);
-        if (!selected) {
-            setMessage(errorElement, "Please select a chip destination.");
+        const { values, errors } = ConsumptionValidation.validateEntry(
+            { destination: selected?.value },
+            {
+                lists: getValidationLists({ destinations }),
+                fields: ["destination"],
+            },
+        );
+        if (
+            showFieldErrors(
+                errorElement,
+                { destination: selected || checkboxes[0] },
+                errors,
+            )
+        ) {
             return;
         }
 
         setStoredData({
-            ...stored,
-            destination: selected.value,
+            ...getStoredData(),
+            destination: values.destination,
         });
 
-        window.location.href = "summary.html";
+        wizard.goToStep("summary");
     });
-}
 
-function initSummaryPage() {
-    const stored = getStoredData();
-    // Guard against direct navigation without completing prior steps.
-    if (
-        !stored.boxNumber ||
-        !stored.product ||
-        !stored.netWeight ||
-        !stored.operatorName
-    ) {
-        window.location.href = "index.html";
-        return;
-    }
-    if (!stored.destination) {
-        window.location.href = "destination.html";
-        return;
-    }
+    return {
+        show() {
+            // Prevent reaching this step without completing the first one.
+            const stored = getStoredData();
+            if (!isFormStepComplete(stored)) {
+                return "entry";
+            }
+
+            checkboxes.forEach((box) => {
+                box.checked = box.value === stored.destination;
+            });
+            return null;
+        },
+    };
+}
 
+function initSummaryStep(session, wizard) {
+    const chipType = document.getElementById("summary-chip-type");
+    const boxLabel = document.getElementById("summary-box-label");
     const boxNumber = document.getElementById("summary-box");
     const product = document.getElementById("summary-product");
     const netWeight = document.getElementById("summary-net-weight");
     const destination = document.getElementById("summary-destination");
+    const line = document.getElementById("summary-line");
+    const productionOrder = document.getElementById("summary-production-order");
     const operatorName = document.getElementById("summary-operator");
     const dateTime = document.getElementById("summary-datetime");
+    const batchSection = document.getElementById("summary-batch");
     const saveButton = document.getElementById("final-save");
     const backButton = document.getElementById("go-back");
     const message = document.getElementById("save-message");
     let redirectTimer = null;
 
-    // Populate the summary fields from localStorage.
-    if (boxNumber) {
-        boxNumber.textContent = stored.boxNumber;
-    }
-    if (product) {
-        product.textContent = stored.product;
-    }
-    if (netWeight) {
-        netWeight.textContent = stored.netWeight;
-    }
-    if (destination) {
-        destination.textContent = stored.destination;
-    }
-    if (operatorName) {
-        operatorName.textContent = stored.operatorName;
-    }
+    // Populate the summary fields from this wizard's stored entry.
+    function renderSummary(stored) {
+        const chipTypeLabels = {
+            box: ["Box Number", "Box Number"],
+            bulk: ["Bulk/Silo", "Bulk/Silo"],
+            purchased: ["Purchased Chip", "Supplier"],
+        };
+        const [chipTypeText, sourceLabel] =
+            chipTypeLabels[stored.chipType] || ["", "Box Number"];
+        if (chipType) {
+            chipType.textContent = chipTypeText;
+        }
+        if (boxLabel) {
+            boxLabel.textContent = sourceLabel;
+        }
+        if (boxNumber) {
+            boxNumber.textContent = getEntrySource(stored);
+        }
+        const batch = getBatch(stored);
+        if (batchSection) {
+            batchSection.hidden = true;
+        }
+        if (batch.length > 0) {
+            renderSummaryBatch(batch, boxLabel, boxNumber);
+        }
+        if (product) {
+            product.textContent = stored.product;
+        }
+        if (netWeight && batch.length === 0) {
+            netWeight.textContent =
+                stored.weightSource === "scale"
+                    ? `${stored.netWeight} (scale ${stored.scaleStationId})`
+                    : stored.netWeight;
+        }
+        if (destination) {
+            destination.textContent = stored.destination;
+        }
+        if (line) {
+            line.textContent = stored.line || "None";
+        }
+        if (productionOrder) {
+            productionOrder.textContent = stored.productionOrder || "None";
+        }
+        if (operatorName) {
+            operatorName.textContent = session.operator.name;
+        }
 
-    const initialTimestamp = stored.savedAt
-        ? new Date(stored.savedAt)
-        : new Date();
-    if (dateTime) {
-        dateTime.textContent = formatDateTime(initialTimestamp);
+        const initialTimestamp = stored.savedAt
+            ? new Date(stored.savedAt)
+            : new Date();
+        if (dateTime) {
+            dateTime.textContent = formatDateTime(initialTimestamp);
+        }
     }
 
-    const apiBaseUrl = getApiBaseUrl();
     if (saveButton) {
         saveButton.addEventListener("click", async () => {
             if (saveButton.disabled) {
                 return;
             }
 
+            const stored = getStoredData();
+            const batch = getBatch(stored);
             // Disable the button to prevent duplicate submissions.
             saveButton.disabled = true;
             setMessage(message, "");
             let shouldUnlock = true;
 
+            // Keep the first attempt's time so queued retries keep it.
+            const payload = batch.length > 0 ? {
+                product: stored.product,
+                destination: stored.destination,
+                line: stored.line,
+                productionOrder: stored.productionOrder,
+                boxes: batch.map((box) => ({
+                    boxNumber: box.boxNumber,
+                    netWeight: box.netWeight,
+                    weightSource: box.weightSource,
+                    scaleStationId: box.scaleStationId,
+                })),
+                submissionId: stored.submissionId,
+                capturedAt: new Date().toISOString(),
+            } : {
+                chipType: stored.chipType,
+                boxNumber: stored.boxNumber,
+                silo: stored.silo,
+                supplier: stored.supplier,
+                product: stored.product,
+                netWeight: stored.netWeight,
+                weightSource: stored.weightSource,
+                scaleStationId: stored.scaleStationId,
+                destination: stored.destination,
+                line: stored.line,
+                productionOrder: stored.productionOrder,
+                submissionId: stored.submissionId,
+                capturedAt: new Date().toISOString(),
+            };
+
             try {
                 // Send the collected data to the backend for Excel storage.
-                const response = await fetch(`${apiBaseUrl}/save`, {
-                    method: "POST",
-                    headers: {
-                        "Content-Type": "application/json",
-                    },
-                    body: JSON.stringify({
-                        boxNumber: stored.boxNumber,
-                        product: stored.product,
-                        netWeight: stored.netWeight,
-                        operatorName: stored.operatorName,
-                        destination: stored.destination,
-                    }),
-                });
+                let response = null;
+                try {
+                    response = await postSave(payload, session.token);
+                } catch (error) {
+                    // Network failures fall through to the offline queue.
+                }
 
-                if (!response.ok) {
-                    throw new Error("Save request failed.");
+                // Unusual weights or rates are saved only once confirmed.
+                const confirmation =
+                    response?.status === 409
+                        ? await response.clone().json().catch(() => ({}))
+                        : null;
+                if (confirmation?.code === "ANOMALY_CONFIRMATION_REQUIRED") {
+                    const details = confirmation.anomalies.map((anomaly) =>
+                        batch.length > 0 && anomaly.boxNumber
+                            ? `Box ${anomaly.boxNumber}: ${anomaly.message}`
+                            : anomaly.message,
+                    );
+                    if (
+                        !window.confirm(
+                            [
+                                "This entry looks unusual:",
+                                ...details,
+                                "Save it anyway? Choose Cancel to go back and check it.",
+                            ].join("\n\n"),
+                        )
+                    ) {
+                        setMessage(
+                            message,
+                            "Not saved. Check the entry and save again.",
+                        );
+                        return;
+                    }
+                    payload.acceptAnomalies = true;
+                    response = null;
+                    try {
+                        response = await postSave(payload, session.token);
+                    } catch (error) {
+                        // Network failures fall through to the offline queue.
+                    }
+                }
+
+                let savedOffline = false;
+                let warnings = [];
+                if (response?.status === 401) {
+                    // Keep the entry so it can be saved after signing in.
+                    window.alert(
+                        "Your session has ended. Please sign in again to save.",
+                    );
+                    clearSession();
+                    redirectToSignIn();
+                    return;
+                }
+                if (!response || isRetryableStatus(response.status)) {
+                    // Nobody is there to confirm when the queue is sent, so
+                    // anything unusual is saved flagged as unconfirmed.
+                    await addPendingSave(
+                        { ...payload, deferAnomalies: true },
+                        session,
+                    );
+                    savedOffline = true;
+                    renderPendingSaves();
+                    schedulePendingRetry();
+                } else if (!response.ok) {
+                    const result = await response.json().catch(() => ({}));
+                    // Batch errors are keyed by box, e.g. "boxes.2.netWeight".
+                    const details = Object.entries(result.errors || {}).map(
+                        ([field, text]) => {
+                            const index = /^boxes\.(\d+)\./.exec(field)?.[1];
+                            return index === undefined
+                                ? text
+                                : `Box ${batch[index]?.boxNumber}: ${text}`;
+                        },
+                    );
+                    if (details.length === 0) {
+                        throw new Error("Save request failed.");
+                    }
+                    window.alert(
+                        [
+                            "Save failed. Please go back and correct:",
+                            ...details,
+                        ].join("\n"),
+                    );
+                    return;
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    warnings = result.warnings || [];
                 }
 
-                window.alert("Saved to Excel.");
+                window.alert(
+                    [
+                        savedOffline
+                            ? "The server can't be reached. The entry was stored on this tablet and will be sent automatically."
+                            : batch.length > 0
+                              ? `Saved ${batch.length} boxes to Excel.`
+                              : "Saved to Excel.",
+                        ...warnings.map((warning) => `Warning: ${warning.message}`),
+                    ].join("\n\n"),
+                );
                 // Keep the button disabled because a redirect is scheduled.
                 shouldUnlock = false;
 
-                const savedAt = new Date();
+                const savedAt = new Date(payload.capturedAt);
                 setStoredData({
                     ...stored,
                     savedAt: savedAt.toISOString(),
@@ -507,18 +1716,15 @@ function initSummaryPage() {
                 }
                 setMessage(
                     message,
-                    `Saved at ${formatDateTime(
+                    `${savedOffline ? "Queued" : "Saved"} at ${formatDateTime(
                         savedAt,
-                    )}. Redirecting to the first page in 3 seconds.`,
+                    )}. Starting a new entry in 3 seconds.`,
                 );
                 // Reset any prior redirect timer before starting a new one.
                 if (redirectTimer) {
                     clearTimeout(redirectTimer);
                 }
-                redirectTimer = window.setTimeout(() => {
-                    clearStoredData();
-                    window.location.href = "index.html";
-                }, 3000);
+                redirectTimer = window.setTimeout(startNewEntry, 3000);
             } catch (error) {
                 window.alert("Save failed. Please try again.");
             } finally {
@@ -531,7 +1737,1479 @@ function initSummaryPage() {
 
     if (backButton) {
         backButton.addEventListener("click", () => {
-            window.location.href = "destination.html";
+            wizard.goToStep("destination");
+        });
+    }
+
+    return {
+        show() {
+            // Guard against links past steps that aren't done yet.
+            const stored = getStoredData();
+            if (!isFormStepComplete(stored)) {
+                return "entry";
+            }
+            if (!stored.destination) {
+                return "destination";
+            }
+
+            setMessage(message, "");
+            renderSummary(stored);
+            return null;
+        },
+    };
+}
+
+// Show a batch's boxes in place of the single box number and weight.
+function renderSummaryBatch(batch, boxLabel, boxNumber) {
+    const section = document.getElementById("summary-batch");
+    const rows = document.getElementById("summary-batch-rows");
+    const netWeight = document.getElementById("summary-net-weight");
+
+    if (boxLabel) {
+        boxLabel.textContent = "Boxes";
+    }
+    if (boxNumber) {
+        boxNumber.textContent = batch.map((box) => box.boxNumber).join(", ");
+    }
+    if (netWeight) {
+        netWeight.textContent = formatBatchTotal(batch);
+    }
+    if (!section || !rows) {
+        return;
+    }
+
+    section.hidden = false;
+    rows.replaceChildren(
+        ...batch.map((box) => {
+            const row = document.createElement("tr");
+            [
+                box.boxNumber,
+                box.weightSource === "scale"
+                    ? `${box.netWeight} (scale ${box.scaleStationId})`
+                    : box.netWeight,
+            ].forEach((text) => {
+                const cell = document.createElement("td");
+                cell.textContent = text;
+                row.append(cell);
+            });
+            return row;
+        }),
+    );
+}
+
+function initHistoryPage() {
+    if (!requireOperatorSession("supervisor")) {
+        return;
+    }
+
+    const filtersForm = document.getElementById("history-filters");
+    const rowsElement = document.getElementById("history-rows");
+    const errorElement = document.getElementById("history-error");
+    const pageInfo = document.getElementById("history-page-info");
+    const prevButton = document.getElementById("history-prev");
+    const nextButton = document.getElementById("history-next");
+    const sortButtons = Array.from(document.querySelectorAll("[data-sort]"));
+    const exportButtons = Array.from(
+        document.querySelectorAll("[data-export]"),
+    );
+
+    if (!filtersForm || !rowsElement || !prevButton || !nextButton) {
+        return;
+    }
+
+    const columns = [
+        "chipType",
+        "boxNumber",
+        "silo",
+        "supplier",
+        "product",
+        "operatorName",
+        "destination",
+        "line",
+        "productionOrder",
+        "date",
+        "time",
+        "shift",
+        "crew",
+        "netWeight",
+        "status",
+        "anomalies",
+    ];
+    const apiBaseUrl = getApiBaseUrl();
+    const state = {
+        page: 1,
+        totalPages: 1,
+        sortBy: "date",
+        order: "desc",
+    };
+
+    function getFilterParams() {
+        const params = new URLSearchParams();
+        new FormData(filtersForm).forEach((value, key) => {
+            const text = normalizeText(String(value));
+            if (text) {
+                params.set(key, text);
+            }
+        });
+        return params;
+    }
+
+    function renderRows(entries) {
+        rowsElement.replaceChildren(
+            ...entries.map((entry) => {
+                const row = document.createElement("tr");
+                if (entry.status === "Void") {
+                    row.className = "data-table__row--void";
+                }
+                columns.forEach((column) => {
+                    const cell = document.createElement("td");
+                    cell.textContent = entry[column];
+                    row.append(cell);
+                });
+                return row;
+            }),
+        );
+
+        if (entries.length === 0) {
+            const row = document.createElement("tr");
+            const cell = document.createElement("td");
+            cell.colSpan = columns.length;
+            cell.className = "data-table__empty";
+            cell.textContent = "No entries match these filters.";
+            row.append(cell);
+            rowsElement.append(row);
+        }
+    }
+
+    function renderSortState() {
+        sortButtons.forEach((button) => {
+            const th = button.closest("th");
+            if (!th) {
+                return;
+            }
+            if (button.dataset.sort === state.sortBy) {
+                th.setAttribute(
+                    "aria-sort",
+                    state.order === "asc" ? "ascending" : "descending",
+                );
+            } else {
+                th.removeAttribute("aria-sort");
+            }
         });
     }
+
+    async function loadEntries() {
+        setMessage(errorElement, "");
+        const params = getFilterParams();
+        params.set("page", String(state.page));
+        params.set("sortBy", state.sortBy);
+        params.set("order", state.order);
+
+        try {
+            const response = await fetchWithSession(
+                `${apiBaseUrl}/entries?${params}`,
+                "supervisor",
+            );
+            if (!response.ok) {
+                throw new Error("Entries request failed.");
+            }
+
+            const result = await response.json();
+            state.page = result.page;
+            state.totalPages = result.totalPages;
+            renderRows(result.entries);
+            setMessage(
+                pageInfo,
+                `Page ${result.page} of ${result.totalPages} (${result.total} entries)`,
+            );
+        } catch (error) {
+            setMessage(errorElement, "Unable to load entries. Please try again.");
+        }
+
+        renderSortState();
+        prevButton.disabled = state.page <= 1;
+        nextButton.disabled = state.page >= state.totalPages;
+    }
+
+    filtersForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        state.page = 1;
+        loadEntries();
+    });
+
+    filtersForm.addEventListener("reset", () => {
+        // Wait for the browser to clear the inputs before reloading.
+        window.setTimeout(() => {
+            state.page = 1;
+            loadEntries();
+        });
+    });
+
+    sortButtons.forEach((button) => {
+        button.addEventListener("click", () => {
+            const sortBy = button.dataset.sort;
+            if (state.sortBy === sortBy) {
+                state.order = state.order === "asc" ? "desc" : "asc";
+            } else {
+                state.sortBy = sortBy;
+                // Dates read newest first; text columns read A to Z.
+                state.order = sortBy === "date" ? "desc" : "asc";
+            }
+            state.page = 1;
+            loadEntries();
+        });
+    });
+
+    // Export every page of the current filters in the table's sort order.
+    // The export is fetched rather than opened so it carries the sign-in.
+    async function downloadExport(format) {
+        setMessage(errorElement, "");
+        const params = getFilterParams();
+        params.set("format", format);
+        params.set("sortBy", state.sortBy);
+        params.set("order", state.order);
+
+        try {
+            const response = await fetchWithSession(
+                `${apiBaseUrl}/export?${params}`,
+                "supervisor",
+            );
+            if (!response.ok) {
+                throw new Error("Export request failed.");
+            }
+
+            const disposition = response.headers.get("Content-Disposition");
+            const link = document.createElement("a");
+            link.href = URL.createObjectURL(await response.blob());
+            link.download =
+                /filename="([^"]+)"/.exec(disposition || "")?.[1] ||
+                `consumption-export.${format}`;
+            link.click();
+            window.setTimeout(() => URL.revokeObjectURL(link.href));
+        } catch (error) {
+            setMessage(errorElement, "Unable to export entries. Please try again.");
+        }
+    }
+
+    exportButtons.forEach((button) => {
+        button.addEventListener("click", () => {
+            downloadExport(button.dataset.export);
+        });
+    });
+
+    prevButton.addEventListener("click", () => {
+        if (state.page > 1) {
+            state.page -= 1;
+            loadEntries();
+        }
+    });
+
+    nextButton.addEventListener("click", () => {
+        if (state.page < state.totalPages) {
+            state.page += 1;
+            loadEntries();
+        }
+    });
+
+    loadEntries();
+}
+
+function initAdminPage() {
+    const listSelect = document.getElementById("admin-list");
+    const rowsElement = document.getElementById("admin-rows");
+    const addForm = document.getElementById("admin-add-form");
+    const valueInput = document.getElementById("admin-value");
+    const labelInput = document.getElementById("admin-label");
+    const message = document.getElementById("admin-message");
+    const tokenInput = document.getElementById("admin-token");
+
+    if (!listSelect || !rowsElement || !addForm || !valueInput || !labelInput) {
+        return;
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    let items = [];
+
+    async function request(url, options = {}) {
+        // A token typed in wins over the session of an admin signed in here.
+        const token = normalizeText(tokenInput?.value || "");
+        const response = await fetch(`${apiBaseUrl}${url}`, {
+            ...options,
+            headers: {
+                "Content-Type": "application/json",
+                ...getAuthHeaders(token || getSession()?.token),
+            },
+        });
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            throw new Error("Sign in as an admin or enter an API token.");
+        }
+        if (!response.ok) {
+            // Field errors say which value to fix, e.g. a PIN that's too short.
+            const details = Object.values(result.errors || {});
+            throw new Error(
+                details.join(" ") || result.error || "Request failed.",
+            );
+        }
+        return result;
+    }
+
+    function createActionButton(label, onClick, disabled = false) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn secondary btn--small";
+        button.textContent = label;
+        button.disabled = disabled;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    function renderItems() {
+        rowsElement.replaceChildren(
+            ...items.map((item, index) => {
+                const row = document.createElement("tr");
+                if (!item.active) {
+                    row.className = "data-table__row--void";
+                }
+
+                // Products show their hand-set box weight range, if any.
+                const label =
+                    item.minWeight === undefined
+                        ? item.label
+                        : `${item.label} (${item.minWeight} to ${item.maxWeight} lbs)`;
+                [item.value, label, item.active ? "Active" : "Retired"].forEach(
+                    (text) => {
+                        const cell = document.createElement("td");
+                        cell.textContent = text;
+                        row.append(cell);
+                    },
+                );
+
+                const actions = document.createElement("td");
+                actions.className = "data-table__actions";
+                actions.append(
+                    createActionButton("Up", () => moveItem(index, -1), index === 0),
+                    createActionButton(
+                        "Down",
+                        () => moveItem(index, 1),
+                        index === items.length - 1,
+                    ),
+                    createActionButton(item.active ? "Retire" : "Restore", () =>
+                        setItemActive(item, !item.active),
+                    ),
+                );
+                if (listSelect.value === "products") {
+                    actions.append(
+                        createActionButton("Weight range", () =>
+                            setWeightRange(item),
+                        ),
+                    );
+                }
+                row.append(actions);
+                return row;
+            }),
+        );
+    }
+
+    async function runAction(action) {
+        setMessage(message, "");
+        try {
+            await action();
+        } catch (error) {
+            setMessage(message, error.message);
+        }
+        await loadItems();
+    }
+
+    async function loadItems() {
+        try {
+            const result = await request(`/config/${listSelect.value}?all=1`);
+            items = result.items;
+            renderItems();
+        } catch (error) {
+            setMessage(message, error.message);
+        }
+    }
+
+    function moveItem(index, offset) {
+        const values = items.map((item) => item.value);
+        const [moved] = values.splice(index, 1);
+        values.splice(index + offset, 0, moved);
+        runAction(() =>
+            request(`/config/${listSelect.value}/order`, {
+                method: "PUT",
+                body: JSON.stringify({ values }),
+            }),
+        );
+    }
+
+    function setItemActive(item, active) {
+        runAction(() =>
+            request(
+                `/config/${listSelect.value}/${encodeURIComponent(item.value)}`,
+                {
+                    method: "PATCH",
+                    body: JSON.stringify({ active }),
+                },
+            ),
+        );
+    }
+
+    // Weights outside the range need confirming when a box is saved. A blank
+    // range goes back to one learned from the saved entries.
+    function setWeightRange(item) {
+        const text = window.prompt(
+            `Box weight range for ${item.value} in lbs, e.g. 900-2200. Leave blank to learn it from saved entries.`,
+            item.minWeight === undefined
+                ? ""
+                : `${item.minWeight}-${item.maxWeight}`,
+        );
+        if (text === null) {
+            return;
+        }
+        const match = /^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/.exec(
+            normalizeText(text),
+        );
+        if (normalizeText(text) && !match) {
+            setMessage(message, "Enter the range as two numbers, e.g. 900-2200.");
+            return;
+        }
+
+        runAction(() =>
+            request(
+                `/config/${listSelect.value}/${encodeURIComponent(item.value)}`,
+                {
+                    method: "PATCH",
+                    body: JSON.stringify({
+                        minWeight: match ? Number(match[1]) : null,
+                        maxWeight: match ? Number(match[2]) : null,
+                    }),
+                },
+            ),
+        );
+    }
+
+    listSelect.addEventListener("change", () => {
+        setMessage(message, "");
+        loadItems();
+    });
+
+    addForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        const value = normalizeText(valueInput.value);
+        const label = normalizeText(labelInput.value);
+        if (!value) {
+            setMessage(message, "Please enter a value.");
+            valueInput.focus();
+            return;
+        }
+
+        runAction(async () => {
+            await request(`/config/${listSelect.value}`, {
+                method: "POST",
+                body: JSON.stringify({ value, label }),
+            });
+            addForm.reset();
+        });
+    });
+
+    tokenInput?.addEventListener("change", () => {
+        setMessage(message, "");
+        loadItems();
+    });
+
+    loadItems();
+    initOperatorPanel(request, createActionButton, tokenInput);
+    initBackupPanel(request, createActionButton, tokenInput);
+}
+
+// Operator registry on the admin page; every call needs admin access.
+function initOperatorPanel(request, createActionButton, tokenInput) {
+    const rowsElement = document.getElementById("operator-rows");
+    const addForm = document.getElementById("operator-add-form");
+    const nameInput = document.getElementById("operator-name");
+    const badgeInput = document.getElementById("operator-badge");
+    const pinInput = document.getElementById("operator-pin");
+    const roleSelect = document.getElementById("operator-role");
+    const message = document.getElementById("operator-message");
+
+    if (!rowsElement || !addForm || !nameInput || !badgeInput || !pinInput) {
+        return;
+    }
+
+    function createRoleSelect(operator) {
+        const select = document.createElement("select");
+        select.setAttribute("aria-label", `Role for ${operator.name}`);
+        ROLES.forEach((role) => {
+            const option = document.createElement("option");
+            option.value = role;
+            option.textContent = role[0].toUpperCase() + role.slice(1);
+            select.append(option);
+        });
+        select.value = operator.role;
+        select.addEventListener("change", () =>
+            runAction(() => updateOperator(operator, { role: select.value })),
+        );
+        return select;
+    }
+
+    function renderOperators(operators) {
+        rowsElement.replaceChildren(
+            ...operators.map((operator) => {
+                const row = document.createElement("tr");
+                if (!operator.active) {
+                    row.className = "data-table__row--void";
+                }
+
+                [operator.name, operator.badge].forEach((text) => {
+                    const cell = document.createElement("td");
+                    cell.textContent = text;
+                    row.append(cell);
+                });
+                const roleCell = document.createElement("td");
+                roleCell.append(createRoleSelect(operator));
+                const statusCell = document.createElement("td");
+                statusCell.textContent = operator.active ? "Active" : "Retired";
+                row.append(roleCell, statusCell);
+
+                const actions = document.createElement("td");
+                actions.className = "data-table__actions";
+                actions.append(
+                    createActionButton("Reset PIN", () => resetPin(operator)),
+                    createActionButton(
+                        operator.active ? "Retire" : "Restore",
+                        () =>
+                            runAction(() =>
+                                updateOperator(operator, {
+                                    active: !operator.active,
+                                }),
+                            ),
+                    ),
+                );
+                row.append(actions);
+                return row;
+            }),
+        );
+    }
+
+    async function loadOperators() {
+        try {
+            const result = await request("/operators?all=1");
+            setMessage(message, "");
+            renderOperators(result.operators);
+        } catch (error) {
+            rowsElement.replaceChildren();
+            setMessage(message, error.message);
+        }
+    }
+
+    async function runAction(action) {
+        setMessage(message, "");
+        try {
+            await action();
+        } catch (error) {
+            setMessage(message, error.message);
+            return;
+        }
+        await loadOperators();
+    }
+
+    function updateOperator(operator, changes) {
+        return request(`/operators/${encodeURIComponent(operator.id)}`, {
+            method: "PATCH",
+            body: JSON.stringify(changes),
+        });
+    }
+
+    function resetPin(operator) {
+        const pin = window.prompt(`New PIN for ${operator.name} (4 to 8 digits)`);
+        if (pin) {
+            runAction(() => updateOperator(operator, { pin }));
+        }
+    }
+
+    tokenInput?.addEventListener("change", loadOperators);
+
+    addForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        runAction(async () => {
+            await request("/operators", {
+                method: "POST",
+                body: JSON.stringify({
+                    name: normalizeText(nameInput.value),
+                    badge: normalizeText(badgeInput.value),
+                    pin: normalizeText(pinInput.value),
+                    role: roleSelect?.value || "operator",
+                }),
+            });
+            addForm.reset();
+        });
+    });
+
+    loadOperators();
+}
+
+// Backup list and restore buttons on the admin page.
+function initBackupPanel(request, createActionButton, tokenInput) {
+    const rowsElement = document.getElementById("backup-rows");
+    const message = document.getElementById("backup-message");
+
+    if (!rowsElement) {
+        return;
+    }
+
+    function formatSize(files) {
+        const bytes = files.reduce((sum, file) => sum + file.size, 0);
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    function renderBackups(backups) {
+        rowsElement.replaceChildren(
+            ...backups.map((backup) => {
+                const row = document.createElement("tr");
+                [
+                    formatDateTime(new Date(backup.createdAt)),
+                    backup.reason,
+                    formatSize(backup.files),
+                ].forEach((text) => {
+                    const cell = document.createElement("td");
+                    cell.textContent = text;
+                    row.append(cell);
+                });
+
+                const actions = document.createElement("td");
+                actions.className = "data-table__actions";
+                actions.append(
+                    createActionButton("Restore", () => restoreBackup(backup)),
+                );
+                row.append(actions);
+                return row;
+            }),
+        );
+    }
+
+    async function loadBackups() {
+        try {
+            const result = await request("/backups");
+            renderBackups(result.backups);
+        } catch (error) {
+            rowsElement.replaceChildren();
+            setMessage(message, error.message);
+        }
+    }
+
+    async function restoreBackup(backup) {
+        const taken = formatDateTime(new Date(backup.createdAt));
+        if (!window.confirm(`Replace the current data with the backup from ${taken}?`)) {
+            return;
+        }
+
+        setMessage(message, "");
+        try {
+            const result = await request(
+                `/backups/${encodeURIComponent(backup.id)}/restore`,
+                { method: "POST" },
+            );
+            setMessage(
+                message,
+                `Restored the backup from ${taken} (${result.entries} entries).`,
+            );
+        } catch (error) {
+            setMessage(message, error.message);
+        }
+        await loadBackups();
+    }
+
+    tokenInput?.addEventListener("change", () => {
+        setMessage(message, "");
+        loadBackups();
+    });
+
+    loadBackups();
+}
+
+function initSigninPage() {
+    const form = document.getElementById("signin-form");
+    const operatorSelect = document.getElementById("signin-operator");
+    const badgeInput = document.getElementById("signin-badge");
+    const pinInput = document.getElementById("signin-pin");
+    const errorElement = document.getElementById("signin-error");
+
+    if (!form || !operatorSelect || !badgeInput || !pinInput) {
+        return;
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    // Only return to one of our own pages after signing in.
+    const params = new URLSearchParams(window.location.search);
+    const next = params.get("next");
+    const nextPage = /^[a-z]+\.html(\?[\w=&%-]*)?$/.test(next || "")
+        ? next
+        : "index.html";
+    // Pages for supervisors and admins say who needs to sign in.
+    const role = params.get("role");
+    if (ROLES.includes(role) && role !== "operator") {
+        setMessage(
+            errorElement,
+            `Sign in as ${role === "admin" ? "an" : "a"} ${role} to open that page.`,
+        );
+    }
+
+    async function loadOperators() {
+        try {
+            const response = await fetch(`${apiBaseUrl}/operators`);
+            const result = await response.json();
+            fillSelectOptions(
+                operatorSelect,
+                result.operators.map((operator) => ({
+                    value: operator.id,
+                    label: operator.name,
+                })),
+            );
+        } catch (error) {
+            setMessage(
+                errorElement,
+                "The server can't be reached. Please try again shortly.",
+            );
+        }
+    }
+
+    // Badge scanners type the number and press Enter; move on to the PIN.
+    badgeInput.addEventListener("keydown", (event) => {
+        if (event.key === "Enter") {
+            event.preventDefault();
+            operatorSelect.value = "";
+            pinInput.focus();
+        }
+    });
+    operatorSelect.addEventListener("change", () => {
+        badgeInput.value = "";
+        pinInput.focus();
+    });
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        setMessage(errorElement, "");
+
+        const operatorId = operatorSelect.value;
+        const badge = normalizeText(badgeInput.value);
+        const pin = normalizeText(pinInput.value);
+        if (!operatorId && !badge) {
+            setMessage(
+                errorElement,
+                "Please pick your name or scan your badge.",
+            );
+            operatorSelect.focus();
+            return;
+        }
+        if (!pin) {
+            setMessage(errorElement, "Please enter your PIN.");
+            pinInput.focus();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${apiBaseUrl}/session`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify(
+                    operatorId ? { operatorId, pin } : { badge, pin },
+                ),
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || "Sign in failed.");
+            }
+
+            setSession({
+                token: result.token,
+                operator: result.operator,
+                idleTimeoutMinutes: result.idleTimeoutMinutes,
+                lastActivity: Date.now(),
+            });
+            window.location.href = nextPage;
+        } catch (error) {
+            pinInput.value = "";
+            setMessage(
+                errorElement,
+                error instanceof TypeError
+                    ? "The server can't be reached. Please try again."
+                    : error.message,
+            );
+        }
+    });
+
+    loadOperators();
+}
+
+function initReportPage() {
+    if (!requireOperatorSession("supervisor")) {
+        return;
+    }
+
+    const filtersForm = document.getElementById("report-filters");
+    const errorElement = document.getElementById("report-error");
+    const totalsElement = document.getElementById("report-totals");
+    const chartsElement = document.getElementById("report-charts");
+    const headElement = document.getElementById("report-head");
+    const rowsElement = document.getElementById("report-rows");
+
+    if (!filtersForm || !chartsElement || !headElement || !rowsElement) {
+        return;
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    const dimensionLabels = {
+        product: "Product",
+        destination: "Destination",
+        operator: "Operator",
+        chipType: "Chip Type",
+        shift: "Shift",
+        day: "Day",
+        week: "Week of",
+        sheet: "Sheet",
+        crew: "Crew",
+        line: "Line",
+        productionOrder: "Production Order",
+    };
+
+    function formatWeight(value) {
+        return `${value.toLocaleString("en-US")} lbs`;
+    }
+
+    function createCell(tag, text) {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        return cell;
+    }
+
+    // Draw one horizontal bar chart per dimension, scaled to its largest bar.
+    function renderCharts(report) {
+        chartsElement.replaceChildren(
+            ...report.groupBy.map((dimension) => {
+                const items = report.byDimension[dimension];
+                const max = Math.max(...items.map((item) => item.totalWeight), 0);
+                const chart = document.createElement("figure");
+                chart.className = "bar-chart";
+                chart.append(
+                    createCell("figcaption", `By ${dimensionLabels[dimension]}`),
+                );
+
+                items.forEach((item) => {
+                    const row = document.createElement("div");
+                    row.className = "bar-chart__row";
+                    const bar = document.createElement("span");
+                    bar.className = "bar-chart__bar";
+                    bar.style.width = `${max > 0 ? (item.totalWeight / max) * 100 : 0}%`;
+                    const track = document.createElement("span");
+                    track.className = "bar-chart__track";
+                    track.append(bar);
+                    row.append(
+                        createCell("span", item.value),
+                        track,
+                        createCell("span", formatWeight(item.totalWeight)),
+                    );
+                    chart.append(row);
+                });
+                return chart;
+            }),
+        );
+    }
+
+    function renderTable(report) {
+        const header = document.createElement("tr");
+        report.groupBy.forEach((dimension) => {
+            header.append(createCell("th", dimensionLabels[dimension]));
+        });
+        header.append(createCell("th", "Net Weight"), createCell("th", "Boxes"));
+        headElement.replaceChildren(header);
+
+        rowsElement.replaceChildren(
+            ...report.groups.map((group) => {
+                const row = document.createElement("tr");
+                report.groupBy.forEach((dimension) => {
+                    row.append(createCell("td", group[dimension]));
+                });
+                row.append(
+                    createCell("td", formatWeight(group.totalWeight)),
+                    createCell("td", String(group.count)),
+                );
+                return row;
+            }),
+        );
+    }
+
+    async function loadReport() {
+        setMessage(errorElement, "");
+        const params = new URLSearchParams();
+        const groupBy = [];
+        new FormData(filtersForm).forEach((value, key) => {
+            const text = normalizeText(String(value));
+            if (key === "groupBy") {
+                groupBy.push(text);
+            } else if (text) {
+                params.set(key, text);
+            }
+        });
+        if (groupBy.length === 0) {
+            setMessage(errorElement, "Please choose at least one grouping.");
+            return;
+        }
+        params.set("groupBy", groupBy.join(","));
+
+        try {
+            const response = await fetchWithSession(
+                `${apiBaseUrl}/reports/consumption?${params}`,
+                "supervisor",
+            );
+            const report = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(report.error || "Report request failed.");
+            }
+
+            setMessage(
+                totalsElement,
+                `${formatWeight(report.totals.totalWeight)} across ${report.totals.count} entries`,
+            );
+            renderCharts(report);
+            renderTable(report);
+        } catch (error) {
+            setMessage(errorElement, error.message);
+        }
+    }
+
+    filtersForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        loadReport();
+    });
+
+    loadReport();
+}
+
+function initDashboardPage() {
+    // Control-room screens open dashboard.html#token=<supervisor API token>
+    // so they never sign out; anyone else signs in as a supervisor.
+    const hashToken = new URLSearchParams(window.location.hash.slice(1)).get(
+        "token",
+    );
+    const session = hashToken ? null : requireOperatorSession("supervisor");
+    if (!hashToken && !session) {
+        return;
+    }
+
+    const token = hashToken || session.token;
+    const statusElement = document.getElementById("dashboard-status");
+    const errorElement = document.getElementById("dashboard-error");
+    const shiftElement = document.getElementById("dashboard-shift");
+    const productsElement = document.getElementById("dashboard-products");
+    const destinationsElement = document.getElementById(
+        "dashboard-destinations",
+    );
+    const linesElement = document.getElementById("dashboard-lines");
+    const entriesElement = document.getElementById("dashboard-entries");
+
+    if (!productsElement || !destinationsElement || !linesElement) {
+        return;
+    }
+    if (hashToken) {
+        document.querySelectorAll(".operator-bar").forEach((element) => {
+            element.hidden = true;
+        });
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    const entries = new Map();
+    const lastEntryAt = new Map();
+    let shift = null;
+    // Entry times are the server's wall clock, which may not be this one's.
+    let clockOffset = 0;
+    let denied = false;
+    let source = null;
+
+    const getServerTime = () => Date.now() + clockOffset;
+
+    function formatWeight(value) {
+        return `${(Math.round(value * 100) / 100).toLocaleString("en-US")} lbs`;
+    }
+
+    // Shift times are wall-clock times on a UTC scale, as the server sends.
+    function formatClock(timestamp) {
+        return new Date(timestamp).toISOString().slice(11, 16);
+    }
+
+    function formatSince(timestamp) {
+        const minutes = Math.max(
+            0,
+            Math.floor((getServerTime() - timestamp) / (60 * 1000)),
+        );
+        if (minutes < 1) {
+            return "just now";
+        }
+        if (minutes < 60) {
+            return `${minutes} min ago`;
+        }
+        const hours = Math.floor(minutes / 60);
+        return `${hours} h ${minutes % 60} min ago`;
+    }
+
+    function createRow(values) {
+        const row = document.createElement("tr");
+        values.forEach((text) => {
+            const cell = document.createElement("td");
+            cell.textContent = text;
+            row.append(cell);
+        });
+        return row;
+    }
+
+    function createEmptyRow(columns, text) {
+        const row = document.createElement("tr");
+        const cell = document.createElement("td");
+        cell.colSpan = columns;
+        cell.className = "data-table__empty";
+        cell.textContent = text;
+        row.append(cell);
+        return row;
+    }
+
+    function renderTotals(element, shiftEntries, field) {
+        const totals = new Map();
+        shiftEntries.forEach((entry) => {
+            const key = entry[field] || "(blank)";
+            const total = totals.get(key) || { count: 0, weight: 0 };
+            total.count += 1;
+            total.weight += Number.parseFloat(entry.netWeight) || 0;
+            totals.set(key, total);
+        });
+
+        const rows = Array.from(totals)
+            .sort(([, left], [, right]) => right.weight - left.weight)
+            .map(([key, total]) =>
+                createRow([key, String(total.count), formatWeight(total.weight)]),
+            );
+        element.replaceChildren(
+            ...(rows.length > 0 ? rows : [createEmptyRow(3, "No entries yet.")]),
+        );
+    }
+
+    function renderLines() {
+        linesElement.replaceChildren(
+            ...Array.from(lastEntryAt, ([line, timestamp]) => {
+                const item = document.createElement("li");
+                const name = document.createElement("strong");
+                name.textContent = line;
+                const since = document.createElement("span");
+                since.textContent =
+                    timestamp === null
+                        ? "No entries yet"
+                        : `Last entry ${formatSince(timestamp)}`;
+                const idle =
+                    timestamp === null ||
+                    getServerTime() - timestamp >
+                        DASHBOARD_IDLE_LINE_MINUTES * 60 * 1000;
+                item.className = idle ? "dashboard__line--idle" : "";
+                item.append(name, since);
+                return item;
+            }),
+        );
+    }
+
+    function render() {
+        if (!shift) {
+            return;
+        }
+
+        const newest = Array.from(entries.values()).sort(
+            (left, right) =>
+                (right.instant ?? right.timestamp) -
+                (left.instant ?? left.timestamp),
+        );
+        const shiftEntries = newest.filter(
+            (entry) =>
+                entry.timestamp >= shift.startsAt &&
+                entry.timestamp < shift.endsAt,
+        );
+        const shiftWeight = shiftEntries.reduce(
+            (sum, entry) => sum + (Number.parseFloat(entry.netWeight) || 0),
+            0,
+        );
+
+        setMessage(
+            shiftElement,
+            `${shift.name} shift${shift.crew ? ` (crew ${shift.crew})` : ""} since ${formatClock(shift.startsAt)}: ${formatWeight(shiftWeight)} across ${shiftEntries.length} entries`,
+        );
+        renderTotals(productsElement, shiftEntries, "product");
+        renderTotals(destinationsElement, shiftEntries, "destination");
+        renderLines();
+
+        const latest = newest
+            .slice(0, DASHBOARD_RECENT_ENTRIES)
+            .map((entry) =>
+                createRow([
+                    entry.date,
+                    entry.time,
+                    entry.destination,
+                    entry.product,
+                    getEntrySource(entry),
+                    entry.netWeight,
+                    entry.operatorName,
+                ]),
+            );
+        entriesElement?.replaceChildren(
+            ...(latest.length > 0
+                ? latest
+                : [createEmptyRow(7, "No entries yet.")]),
+        );
+    }
+
+    // Start over from the server's snapshot. The stream only sends changes,
+    // so this runs whenever it (re)opens in case some were missed.
+    async function loadSnapshot() {
+        try {
+            const response = await fetch(`${apiBaseUrl}/reports/dashboard`, {
+                headers: getAuthHeaders(token),
+            });
+            const result = await response.json().catch(() => ({}));
+            if (response.status === 401 && !hashToken) {
+                denied = true;
+                clearSession();
+                redirectToSignIn("supervisor");
+                return;
+            }
+            if (response.status === 401 || response.status === 403) {
+                denied = true;
+                throw new Error("This screen needs a supervisor API token.");
+            }
+            if (!response.ok) {
+                throw new Error(result.error || "Dashboard request failed.");
+            }
+
+            clockOffset = result.serverTime - Date.now();
+            shift = result.shift;
+            entries.clear();
+            result.entries.forEach((entry) => entries.set(entry.id, entry));
+            lastEntryAt.clear();
+            result.lines.forEach(({ line, lastEntryAt: timestamp }) => {
+                lastEntryAt.set(line, timestamp);
+            });
+            setMessage(errorElement, "");
+            render();
+        } catch (error) {
+            setMessage(errorElement, error.message);
+        }
+    }
+
+    function applyChanges(event) {
+        const { entries: changed = [] } = JSON.parse(event.data);
+        changed.forEach((entry) => {
+            if (entry.status === "Void" || entry.timestamp === null) {
+                entries.delete(entry.id);
+                return;
+            }
+            entries.set(entry.id, entry);
+            if (entry.timestamp > (lastEntryAt.get(entry.destination) ?? 0)) {
+                lastEntryAt.set(entry.destination, entry.timestamp);
+            }
+        });
+        render();
+    }
+
+    function setStatus(text, live) {
+        setMessage(statusElement, text);
+        statusElement?.classList.toggle("dashboard__status--live", live);
+    }
+
+    function connect() {
+        source = new EventSource(
+            `${apiBaseUrl}/events?token=${encodeURIComponent(token)}`,
+        );
+        source.addEventListener("open", () => {
+            setStatus("Live", true);
+            loadSnapshot();
+        });
+        source.addEventListener("entries", applyChanges);
+        source.addEventListener("reload", loadSnapshot);
+        source.addEventListener("error", () => {
+            setStatus("Reconnecting…", false);
+            // The browser retries dropped connections itself but gives up on
+            // an error response, e.g. once the session has ended.
+            if (source.readyState !== EventSource.CLOSED) {
+                return;
+            }
+            window.setTimeout(async () => {
+                await loadSnapshot();
+                if (!denied) {
+                    connect();
+                }
+            }, DASHBOARD_RECONNECT_MS);
+        });
+    }
+
+    // Keep the "last entry" times current and roll over at the shift change.
+    window.setInterval(() => {
+        if (shift && getServerTime() >= shift.endsAt) {
+            loadSnapshot();
+        } else {
+            render();
+        }
+    }, DASHBOARD_REFRESH_MS);
+
+    setStatus("Connecting…", false);
+    connect();
+}
+
+async function initReceiptsPage() {
+    const session = requireOperatorSession();
+    if (!session) {
+        return;
+    }
+
+    const form = document.getElementById("receipt-form");
+    const errorElement = document.getElementById("receipt-error");
+    const successElement = document.getElementById("receipt-success");
+    const productSelect = document.getElementById("receipt-product");
+    const supplierSelect = document.getElementById("receipt-supplier");
+    const rowsElement = document.getElementById("receipt-rows");
+
+    if (!form || !productSelect || !supplierSelect || !rowsElement) {
+        return;
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    const columns = [
+        "boxNumber",
+        "product",
+        "supplier",
+        "netWeight",
+        "date",
+        "time",
+        "receivedBy",
+        "status",
+    ];
+    const fieldElements = Object.fromEntries(
+        ConsumptionValidation.RECEIPT_FIELDS.map((field) => [
+            field,
+            form.elements[field],
+        ]),
+    );
+
+    const [masterData, rules] = await Promise.all([
+        loadMasterData(["products", "suppliers"]),
+        loadValidationRules(),
+    ]);
+    fillSelectOptions(productSelect, masterData.products);
+    fillSelectOptions(supplierSelect, masterData.suppliers);
+
+    function renderRows(receipts) {
+        rowsElement.replaceChildren(
+            ...receipts.map((receipt) => {
+                const row = document.createElement("tr");
+                if (receipt.status === "Void") {
+                    row.className = "data-table__row--void";
+                }
+                columns.forEach((column) => {
+                    const cell = document.createElement("td");
+                    cell.textContent = receipt[column];
+                    row.append(cell);
+                });
+                return row;
+            }),
+        );
+
+        if (receipts.length === 0) {
+            const row = document.createElement("tr");
+            const cell = document.createElement("td");
+            cell.colSpan = columns.length;
+            cell.className = "data-table__empty";
+            cell.textContent = "No boxes received yet.";
+            row.append(cell);
+            rowsElement.append(row);
+        }
+    }
+
+    async function loadReceipts() {
+        try {
+            const response = await fetchWithSession(`${apiBaseUrl}/receipts`);
+            if (!response.ok) {
+                throw new Error("Receipts request failed.");
+            }
+            renderRows((await response.json()).receipts);
+        } catch (error) {
+            setMessage(errorElement, "Unable to load receipts. Please try again.");
+        }
+    }
+
+    let submissionId = createSubmissionId();
+    // A changed box is a new receipt, not a retry of the last one.
+    form.addEventListener("input", () => {
+        submissionId = createSubmissionId();
+    });
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        setMessage(errorElement, "");
+        setMessage(successElement, "");
+
+        const input = Object.fromEntries(new FormData(form));
+        const { values, errors } = ConsumptionValidation.validateReceipt(input, {
+            lists: getValidationLists(masterData),
+            maxNetWeight: rules.maxNetWeight,
+        });
+        if (showFieldErrors(errorElement, fieldElements, errors)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${apiBaseUrl}/receipts`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    ...getAuthHeaders(session.token),
+                },
+                body: JSON.stringify({ ...values, submissionId }),
+            });
+            const result = await response.json().catch(() => ({}));
+            if (response.status === 401) {
+                clearSession();
+                redirectToSignIn();
+                return;
+            }
+            if (!response.ok) {
+                const fieldErrors = result.errors || {};
+                if (showFieldErrors(errorElement, fieldElements, fieldErrors)) {
+                    return;
+                }
+                throw new Error(result.error || "Unable to save the receipt.");
+            }
+
+            setMessage(
+                successElement,
+                `Received box ${result.receipt.boxNumber} at ${result.receipt.netWeight} lbs.`,
+            );
+            form.reset();
+            submissionId = createSubmissionId();
+            fieldElements.boxNumber.focus();
+            loadReceipts();
+        } catch (error) {
+            setMessage(errorElement, error.message);
+        }
+    });
+
+    loadReceipts();
+}
+
+function initInventoryPage() {
+    if (!requireOperatorSession("supervisor")) {
+        return;
+    }
+
+    const filtersForm = document.getElementById("inventory-filters");
+    const errorElement = document.getElementById("inventory-error");
+    const totalsElement = document.getElementById("inventory-totals");
+    const rowsElement = document.getElementById("inventory-rows");
+
+    if (!filtersForm || !rowsElement) {
+        return;
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    const statusLabels = {
+        open: "Open",
+        consumed: "Consumed",
+        duplicate: "Consumed more than once",
+        unknown: "Never received",
+    };
+
+    function formatWeight(value) {
+        return value === null ? "" : `${value.toLocaleString("en-US")} lbs`;
+    }
+
+    function renderRows(boxes) {
+        rowsElement.replaceChildren(
+            ...boxes.map((box) => {
+                const row = document.createElement("tr");
+                // Boxes consumed twice or never received, and weights that
+                // don't match the receipt, need a look.
+                if (
+                    ["duplicate", "unknown"].includes(box.status) ||
+                    box.weightMismatch
+                ) {
+                    row.className = "data-table__row--flagged";
+                }
+                [
+                    box.boxNumber,
+                    box.product,
+                    statusLabels[box.status],
+                    box.receivedAt,
+                    formatWeight(box.receivedWeight),
+                    box.consumedAt,
+                    String(box.consumptions),
+                    formatWeight(box.consumedWeight),
+                    box.weightDifference === null
+                        ? ""
+                        : `${box.weightDifference > 0 ? "+" : ""}${formatWeight(box.weightDifference)}`,
+                ].forEach((text) => {
+                    const cell = document.createElement("td");
+                    cell.textContent = text;
+                    row.append(cell);
+                });
+                return row;
+            }),
+        );
+
+        if (boxes.length === 0) {
+            const row = document.createElement("tr");
+            const cell = document.createElement("td");
+            cell.colSpan = 9;
+            cell.className = "data-table__empty";
+            cell.textContent = "No boxes match these filters.";
+            row.append(cell);
+            rowsElement.append(row);
+        }
+    }
+
+    async function loadReport() {
+        setMessage(errorElement, "");
+        const params = new URLSearchParams();
+        new FormData(filtersForm).forEach((value, key) => {
+            const text = normalizeText(String(value));
+            if (text) {
+                params.set(key, text);
+            }
+        });
+
+        try {
+            const response = await fetchWithSession(
+                `${apiBaseUrl}/reports/inventory?${params}`,
+                "supervisor",
+            );
+            const report = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(report.error || "Inventory request failed.");
+            }
+
+            const { totals } = report;
+            setMessage(
+                totalsElement,
+                `${totals.open} open, ${totals.consumed} consumed, ${totals.duplicate} consumed more than once, ${totals.unknown} never received`,
+            );
+            renderRows(report.boxes);
+        } catch (error) {
+            setMessage(errorElement, error.message);
+        }
+    }
+
+    filtersForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        loadReport();
+    });
+
+    filtersForm.addEventListener("reset", () => {
+        // Wait for the browser to clear the inputs before reloading.
+        window.setTimeout(loadReport);
+    });
+
+    loadReport();
 }
@@ -0,0 +1,112 @@
+const XLSX = require("xlsx");
+const fs = require("fs");
+const {
+    createDateCell,
+    createTimeCell,
+    parseDateCell,
+    parseTimeCell,
+} = require("./plant-time.cjs");
+
+// One-time converter for workbooks written before dates were stored as real
+// Excel values: the text in every sheet's Date and Time columns becomes date
+// and time cells. The original is kept next to it with a .bak extension.
+//
+// The server rebuilds its own workbook from the journal with real date cells
+// on its next start; this is for copies, archives and workbooks the server
+// has not imported yet.
+//
+//   node convert-dates.cjs <workbook.xlsx>
+const filePath = process.argv[2];
+
+function findColumn(headerRow, name) {
+    return headerRow.findIndex(
+        (header) => String(header ?? "").trim().toLowerCase() === name,
+    );
+}
+
+function toDateCell(cell) {
+    const date = parseDateCell(cell.v);
+    return date
+        ? createDateCell(Date.UTC(date.year, date.month - 1, date.day))
+        : null;
+}
+
+function toTimeCell(cell) {
+    const time = parseTimeCell(cell.v);
+    return time
+        ? createTimeCell(
+              Date.UTC(1970, 0, 1, time.hour, time.minute, time.second),
+          )
+        : null;
+}
+
+// Convert the text cells of one column; returns [converted, unreadable].
+function convertColumn(worksheet, column, toCell) {
+    const range = XLSX.utils.decode_range(worksheet["!ref"]);
+    let converted = 0;
+    let unreadable = 0;
+    for (let row = range.s.r + 1; row <= range.e.r; row += 1) {
+        const address = XLSX.utils.encode_cell({ r: row, c: column });
+        const cell = worksheet[address];
+        if (!cell || cell.t !== "s" || !String(cell.v).trim()) {
+            continue;
+        }
+        const replacement = toCell(cell);
+        if (!replacement) {
+            unreadable += 1;
+            continue;
+        }
+        worksheet[address] = { ...replacement, s: cell.s };
+        converted += 1;
+    }
+    return [converted, unreadable];
+}
+
+function convertWorkbook() {
+    const workbook = XLSX.readFile(filePath, { cellStyles: true });
+    let total = 0;
+    workbook.SheetNames.forEach((name) => {
+        const worksheet = workbook.Sheets[name];
+        if (!worksheet?.["!ref"]) {
+            return;
+        }
+        const headerRow =
+            XLSX.utils.sheet_to_json(worksheet, { header: 1, range: 0 })[0] || [];
+        const dateColumn = findColumn(headerRow, "date");
+        const timeColumn = findColumn(headerRow, "time");
+        if (dateColumn === -1 && timeColumn === -1) {
+            return;
+        }
+
+        const [dates, badDates] =
+            dateColumn === -1
+                ? [0, 0]
+                : convertColumn(worksheet, dateColumn, toDateCell);
+        const [times, badTimes] =
+            timeColumn === -1
+                ? [0, 0]
+                : convertColumn(worksheet, timeColumn, toTimeCell);
+        console.log(`${name}: converted ${dates} dates and ${times} times.`);
+        if (badDates + badTimes > 0) {
+            console.warn(
+                `${name}: left ${badDates + badTimes} cells that aren't readable dates or times as text.`,
+            );
+        }
+        total += dates + times;
+    });
+
+    if (total === 0) {
+        console.log("Nothing to convert.");
+        return;
+    }
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+    XLSX.writeFile(workbook, filePath);
+    console.log(`Saved ${filePath}; the original is at ${filePath}.bak.`);
+}
+
+if (!filePath || !fs.existsSync(filePath)) {
+    console.error("Usage: node convert-dates.cjs <workbook.xlsx>");
+    process.exitCode = 1;
+} else {
+    convertWorkbook();
+}
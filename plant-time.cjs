@@ -0,0 +1,266 @@
+const XLSX = require("xlsx");
+
+// Times as the plant's wall clock reads them. Wall timestamps put the local
+// date and time on the UTC scale (Date.UTC of the clock reading), so days and
+// shifts line up the same on any server; instants are real epoch times.
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Excel counts days from 30 December 1899.
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const EXCEL_DATE_FORMAT = "m/d/yyyy";
+const EXCEL_TIME_FORMAT = "hh:mm:ss AM/PM";
+const ISO_TIMESTAMP_PATTERN =
+    /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?(Z|([+-])(\d{2}):?(\d{2}))$/i;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(
+            timeZone,
+            new Intl.DateTimeFormat("en-US", {
+                timeZone,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "numeric",
+                day: "numeric",
+                hour: "numeric",
+                minute: "numeric",
+                second: "numeric",
+            }),
+        );
+    }
+    return formatters.get(timeZone);
+}
+
+// The IANA zone name when the runtime knows it, otherwise null.
+function resolveTimeZone(value) {
+    try {
+        return getFormatter(value).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The wall clock in timeZone at date, to the millisecond.
+function getWallTimestamp(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone)
+        .formatToParts(date)
+        .forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+    return Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second,
+        date.getUTCMilliseconds(),
+    );
+}
+
+// The instant a wall clock in timeZone read wallTimestamp. When the clocks
+// go back and the reading happened twice, the earlier one is taken.
+function wallTimestampToDate(wallTimestamp, timeZone) {
+    const offsetAt = (time) =>
+        getWallTimestamp(new Date(time), timeZone) - time;
+    const before = wallTimestamp - offsetAt(wallTimestamp - DAY_MS);
+    const after = wallTimestamp - offsetAt(wallTimestamp + DAY_MS);
+    const matches = [before, after].filter(
+        (time) => getWallTimestamp(new Date(time), timeZone) === wallTimestamp,
+    );
+    // A reading skipped when the clocks went forward keeps the old offset.
+    return new Date(matches.length > 0 ? Math.min(...matches) : before);
+}
+
+function padNumber(value, length = 2) {
+    return String(value).padStart(length, "0");
+}
+
+// ISO-8601 with the zone's offset, e.g. "2026-03-08T01:59:30.120-05:00".
+function formatIsoTimestamp(date, timeZone) {
+    const wallTimestamp = getWallTimestamp(date, timeZone);
+    const offsetMinutes = Math.round((wallTimestamp - date.getTime()) / 60000);
+    const sign = offsetMinutes < 0 ? "-" : "+";
+    const absolute = Math.abs(offsetMinutes);
+    return `${new Date(wallTimestamp).toISOString().slice(0, 23)}${sign}${padNumber(
+        Math.floor(absolute / 60),
+    )}:${padNumber(absolute % 60)}`;
+}
+
+// Read an ISO-8601 time with a zone ("Z" or an offset) into its instant and
+// the wall clock it was written in, or null when it isn't one.
+function parseIsoTimestamp(value) {
+    const match = ISO_TIMESTAMP_PATTERN.exec(String(value ?? "").trim());
+    if (!match) {
+        return null;
+    }
+
+    const [
+        ,
+        year,
+        month,
+        day,
+        hour,
+        minute,
+        second = "0",
+        fraction = "0",
+        zone,
+        sign,
+        offsetHours,
+        offsetMinutes,
+    ] = match;
+    const wallTimestamp = Date.UTC(
+        Number(year),
+        Number(month) - 1,
+        Number(day),
+        Number(hour),
+        Number(minute),
+        Number(second),
+        Number(fraction.padEnd(3, "0").slice(0, 3)),
+    );
+    const wall = new Date(wallTimestamp);
+    // Date.UTC rolls 31 February over into March; such dates are invalid.
+    if (
+        !Number.isFinite(wallTimestamp) ||
+        wall.getUTCDate() !== Number(day) ||
+        wall.getUTCHours() !== Number(hour)
+    ) {
+        return null;
+    }
+
+    const offset =
+        zone.toUpperCase() === "Z"
+            ? 0
+            : (sign === "-" ? -1 : 1) *
+              (Number(offsetHours) * 60 + Number(offsetMinutes));
+    return { instant: wallTimestamp - offset * 60 * 1000, wallTimestamp };
+}
+
+function parseDateCell(value) {
+    if (value instanceof Date) {
+        return {
+            year: value.getFullYear(),
+            month: value.getMonth() + 1,
+            day: value.getDate(),
+        };
+    }
+
+    if (typeof value === "number" && Number.isFinite(value)) {
+        const parsed = XLSX.SSF.parse_date_code(value);
+        if (parsed) {
+            return {
+                year: parsed.y,
+                month: parsed.m,
+                day: parsed.d,
+            };
+        }
+    }
+
+    const text = String(value ?? "").trim();
+    const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, month, day, year] = match;
+    const fullYear = year.length === 2 ? `20${year}` : year;
+
+    return {
+        year: Number(fullYear),
+        month: Number(month),
+        day: Number(day),
+    };
+}
+
+function parseTimeCell(value) {
+    if (value instanceof Date) {
+        return {
+            hour: value.getHours(),
+            minute: value.getMinutes(),
+            second: value.getSeconds(),
+        };
+    }
+
+    if (typeof value === "number" && Number.isFinite(value)) {
+        const secondsInDay = 24 * 60 * 60;
+        const totalSeconds = Math.round((value % 1) * secondsInDay);
+
+        return {
+            hour: Math.floor(totalSeconds / 3600),
+            minute: Math.floor((totalSeconds % 3600) / 60),
+            second: totalSeconds % 60,
+        };
+    }
+
+    const text = String(value ?? "").trim();
+    const match = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i);
+    if (!match) {
+        return null;
+    }
+
+    const [, hourText, minuteText, secondText = "0", meridiem] = match;
+    let hour = Number(hourText);
+    if (meridiem) {
+        const normalizedMeridiem = meridiem.toUpperCase();
+        if (normalizedMeridiem === "PM" && hour !== 12) {
+            hour += 12;
+        } else if (normalizedMeridiem === "AM" && hour === 12) {
+            hour = 0;
+        }
+    }
+
+    return {
+        hour,
+        minute: Number(minuteText),
+        second: Number(secondText),
+    };
+}
+
+// A date and a time cell, as text or Excel values, as one wall timestamp.
+function getDateTimeTimestamp(dateCell, timeCell) {
+    const date = parseDateCell(dateCell);
+    const time = parseTimeCell(timeCell);
+    if (!date || !time) {
+        return null;
+    }
+
+    const timestamp = Date.UTC(
+        date.year,
+        date.month - 1,
+        date.day,
+        time.hour,
+        time.minute,
+        time.second,
+    );
+
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+// Excel date and time cells for a wall timestamp, to the second.
+function createDateCell(wallTimestamp) {
+    return {
+        t: "n",
+        v: Math.floor((wallTimestamp - EXCEL_EPOCH) / DAY_MS),
+        z: EXCEL_DATE_FORMAT,
+    };
+}
+
+function createTimeCell(wallTimestamp) {
+    const seconds = Math.floor((((wallTimestamp % DAY_MS) + DAY_MS) % DAY_MS) / 1000);
+    return { t: "n", v: seconds / (24 * 60 * 60), z: EXCEL_TIME_FORMAT };
+}
+
+module.exports = {
+    createDateCell,
+    createTimeCell,
+    formatIsoTimestamp,
+    getDateTimeTimestamp,
+    getWallTimestamp,
+    parseDateCell,
+    parseIsoTimestamp,
+    parseTimeCell,
+    resolveTimeZone,
+    wallTimestampToDate,
+};
@@ -0,0 +1,285 @@
+const net = require("net");
+
+// Reads floor scales that stream ASCII weight frames over a TCP socket or a
+// serial port, and keeps each station's latest reading in pounds.
+const RECONNECT_DELAY_MS = 5 * 1000;
+// Frames without a motion flag count as steady once this many in a row agree.
+const STEADY_FRAME_COUNT = 3;
+// Scales stream several frames a second; an older reading means it stopped.
+const READING_STALE_MS = 3 * 1000;
+const SERIALPORT_MISSING = "SERIALPORT_MISSING";
+const POUNDS_PER_UNIT = {
+    lb: 1,
+    lbs: 1,
+    kg: 2.20462262,
+    g: 0.00220462262,
+    oz: 1 / 16,
+};
+const STATUS_TOKENS = {
+    steady: ["ST", "S"],
+    motion: ["US", "M", "MO", "D"],
+    net: ["NT", "NET", "N"],
+    gross: ["GS", "GR", "G", "GROSS"],
+    overload: ["OL", "OVERLOAD", "+"],
+};
+
+function hasToken(tokens, kind) {
+    return tokens.some((token) => STATUS_TOKENS[kind].includes(token));
+}
+
+// Parse one weight frame. Scales put status flags around the weight, e.g.
+//   "ST,GS,+00012.34 lb"  A&D, CAS and Rice Lake: steady/unsteady, gross/net
+//   "S S     12.34 kg"    Mettler Toledo SICS: "S D" while in motion
+//   "   25.50 lb G M"     Cardinal and Fairbanks: mode and motion letters
+// Returns { weight, rawWeight, unit, steady, mode, overload }, with steady
+// null when the frame has no flag, or null when the frame has no weight.
+function parseWeightFrame(frame) {
+    // Drop STX/ETX and other control characters some scales wrap frames in.
+    const text = String(frame).replace(/[\u0000-\u001f]/g, " ").trim();
+    const match = /([+-]?)\s*(\d+(?:\.\d+)?)\s*(lbs?|kg|g|oz)\b/i.exec(text);
+    const tokens = text
+        .replace(match?.[0] || "", " ")
+        .toUpperCase()
+        .split(/[\s,]+/)
+        .filter(Boolean);
+
+    if (hasToken(tokens, "overload")) {
+        return {
+            weight: null,
+            rawWeight: null,
+            unit: "",
+            steady: false,
+            mode: "",
+            overload: true,
+        };
+    }
+    if (!match) {
+        return null;
+    }
+
+    const unit = match[3].toLowerCase();
+    const rawWeight = Number(`${match[1]}${match[2]}`);
+    let steady = null;
+    if (hasToken(tokens, "motion")) {
+        steady = false;
+    } else if (hasToken(tokens, "steady")) {
+        steady = true;
+    }
+
+    let mode = "";
+    if (hasToken(tokens, "net")) {
+        mode = "net";
+    } else if (hasToken(tokens, "gross")) {
+        mode = "gross";
+    }
+
+    return {
+        weight: Math.round(rawWeight * POUNDS_PER_UNIT[unit] * 100) / 100,
+        rawWeight,
+        unit,
+        steady,
+        mode,
+        overload: false,
+    };
+}
+
+// SCALE_STATIONS lists stations as id=source, separated by semicolons:
+//   "Line1=tcp:10.0.0.21:4001;Line2=serial:/dev/ttyUSB0:9600;Line3=serial:COM3"
+// Serial ports default to 9600 baud.
+function parseScaleStations(value) {
+    const stations = [];
+    String(value || "")
+        .split(";")
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .forEach((item) => {
+            const [id, source = ""] = item.split("=").map((part) => part.trim());
+            const tcp = /^tcp:(.+):(\d+)$/i.exec(source);
+            const serial = /^serial:(.+?)(?::(\d+))?$/i.exec(source);
+            if (!/^[a-z0-9_-]+$/i.test(id || "") || (!tcp && !serial)) {
+                console.warn(`Ignoring scale station "${item}".`);
+                return;
+            }
+
+            stations.push(
+                tcp
+                    ? { id, type: "tcp", host: tcp[1], port: Number(tcp[2]) }
+                    : {
+                          id,
+                          type: "serial",
+                          path: serial[1],
+                          baudRate: Number(serial[2]) || 9600,
+                      },
+            );
+        });
+    return stations;
+}
+
+function handleFrame(station, frame) {
+    const reading = parseWeightFrame(frame);
+    if (!reading) {
+        return;
+    }
+
+    reading.readAt = Date.now();
+    // Without a flag, trust the weight once it stops changing.
+    if (reading.steady === null) {
+        station.recent = [...station.recent, reading.weight].slice(
+            -STEADY_FRAME_COUNT,
+        );
+        reading.steady =
+            station.recent.length === STEADY_FRAME_COUNT &&
+            station.recent.every((weight) => weight === reading.weight);
+    } else {
+        station.recent = [];
+    }
+    station.latest = reading;
+}
+
+// Split the byte stream into frames; scales end them with CR, LF or ETX.
+function createFrameHandler(station) {
+    let buffer = "";
+    return (chunk) => {
+        buffer += chunk.toString("latin1");
+        const frames = buffer.split(/[\r\n\u0003]+/);
+        buffer = frames.pop().slice(-256);
+        frames.forEach((frame) => handleFrame(station, frame));
+    };
+}
+
+function setConnected(station, connected, error) {
+    if (station.connected !== connected) {
+        if (connected) {
+            console.log(`Scale ${station.id} connected.`);
+        } else {
+            console.warn(
+                `Scale ${station.id} disconnected${error ? `: ${error.message}` : ""}.`,
+            );
+        }
+    }
+    station.connected = connected;
+    if (!connected) {
+        station.latest = null;
+        station.recent = [];
+    }
+}
+
+function scheduleReconnect(station) {
+    if (!station.reconnectTimer) {
+        station.reconnectTimer = setTimeout(() => {
+            station.reconnectTimer = null;
+            connectStation(station);
+        }, RECONNECT_DELAY_MS);
+    }
+}
+
+function connectTcp(station) {
+    const socket = net.connect({ host: station.host, port: station.port });
+    socket.setKeepAlive(true);
+    socket.on("connect", () => setConnected(station, true));
+    socket.on("data", createFrameHandler(station));
+    socket.on("error", (error) => {
+        station.lastError = error;
+    });
+    socket.on("close", () => {
+        setConnected(station, false, station.lastError);
+        scheduleReconnect(station);
+    });
+}
+
+// Only servers with serial scales need the native serialport package, so it
+// is an optional dependency that may not have been installed.
+function loadSerialPort() {
+    try {
+        return require("serialport").SerialPort;
+    } catch (error) {
+        if (error.code !== "MODULE_NOT_FOUND") {
+            throw error;
+        }
+        const missing = new Error(
+            'Serial scales need the "serialport" package, which is not installed. Run "npm install serialport" on this server.',
+        );
+        missing.code = SERIALPORT_MISSING;
+        throw missing;
+    }
+}
+
+function connectSerial(station) {
+    const SerialPort = loadSerialPort();
+    const port = new SerialPort({
+        path: station.path,
+        baudRate: station.baudRate,
+        autoOpen: false,
+    });
+    port.on("data", createFrameHandler(station));
+    port.on("close", () => {
+        setConnected(station, false);
+        scheduleReconnect(station);
+    });
+    port.open((error) => {
+        if (error) {
+            setConnected(station, false, error);
+            scheduleReconnect(station);
+            return;
+        }
+        setConnected(station, true);
+    });
+}
+
+function connectStation(station) {
+    try {
+        if (station.type === "tcp") {
+            connectTcp(station);
+        } else {
+            connectSerial(station);
+        }
+    } catch (error) {
+        // Retrying won't install the package, so say so once and stop.
+        if (error.code === SERIALPORT_MISSING) {
+            console.error(`Scale ${station.id}: ${error.message}`);
+            setConnected(station, false);
+            return;
+        }
+        setConnected(station, false, error);
+        scheduleReconnect(station);
+    }
+}
+
+// Connect to every station and keep reconnecting when a scale drops off.
+// Returns the stations keyed by id.
+function startScaleReaders(configs) {
+    const stations = new Map();
+    configs.forEach((config) => {
+        const station = {
+            ...config,
+            connected: null,
+            latest: null,
+            recent: [],
+            reconnectTimer: null,
+            lastError: null,
+        };
+        stations.set(station.id, station);
+        connectStation(station);
+    });
+    return stations;
+}
+
+// The station's current reading and whether it can be captured:
+// "steady", "motion", "overload" or "offline".
+function getScaleStatus(station) {
+    const reading = station.latest;
+    if (!reading || Date.now() - reading.readAt > READING_STALE_MS) {
+        return { status: "offline", reading: null };
+    }
+    if (reading.overload) {
+        return { status: "overload", reading };
+    }
+    return { status: reading.steady ? "steady" : "motion", reading };
+}
+
+module.exports = {
+    getScaleStatus,
+    parseScaleStations,
+    parseWeightFrame,
+    startScaleReaders,
+};
@@ -0,0 +1,55 @@
+const net = require("net");
+
+// A pretend floor scale for trying out weight capture without hardware.
+// It streams A&D-style frames ("ST,GS,+00123.45 lb") to every client on a
+// local TCP port: a box settles on the scale, sits still for a while, then
+// the next box is loaded.
+//
+//   node scale-simulator.cjs [port]
+//   SCALE_STATIONS="Test=tcp:127.0.0.1:4001" npm start
+const PORT = Number(process.argv[2]) || 4001;
+const FRAME_INTERVAL_MS = 200;
+// Frames spent loading the next box (in motion) and then sitting still.
+const MOTION_FRAMES = 10;
+const STEADY_FRAMES = 50;
+
+function formatFrame(weight, steady) {
+    const sign = weight < 0 ? "-" : "+";
+    const value = Math.abs(weight).toFixed(2).padStart(8, "0");
+    return `${steady ? "ST" : "US"},GS,${sign}${value} lb\r\n`;
+}
+
+function createBoxWeight() {
+    return Math.round((800 + Math.random() * 1400) * 2) / 2;
+}
+
+let frame = 0;
+let target = createBoxWeight();
+
+function nextFrame() {
+    frame = (frame + 1) % (MOTION_FRAMES + STEADY_FRAMES);
+    if (frame === 0) {
+        target = createBoxWeight();
+    }
+    if (frame < MOTION_FRAMES) {
+        const wobble = (Math.random() - 0.5) * 40 * (MOTION_FRAMES - frame);
+        return formatFrame(target + wobble, false);
+    }
+    return formatFrame(target, true);
+}
+
+const clients = new Set();
+const server = net.createServer((socket) => {
+    clients.add(socket);
+    socket.on("close", () => clients.delete(socket));
+    socket.on("error", () => clients.delete(socket));
+});
+
+setInterval(() => {
+    const text = nextFrame();
+    clients.forEach((socket) => socket.write(text));
+}, FRAME_INTERVAL_MS);
+
+server.listen(PORT, "127.0.0.1", () => {
+    console.log(`Simulated scale streaming on 127.0.0.1:${PORT}`);
+});
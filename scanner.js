@@ -0,0 +1,259 @@
+// Box label scanning for the form page: keyboard-wedge scanners and the
+// camera. Loads as a browser global or a CommonJS module, like validation.js.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoxScanner = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    // Wedge scanners type faster than this between keys; people don't.
+    const WEDGE_MAX_KEY_GAP_MS = 50;
+    const WEDGE_MIN_LENGTH = 4;
+    const CAMERA_SCAN_INTERVAL_MS = 250;
+    // BarcodeDetector format names; ZXing uses the same names in upper case.
+    const CAMERA_FORMATS = [
+        "code_128",
+        "code_39",
+        "qr_code",
+        "data_matrix",
+        "ean_13",
+        "itf",
+    ];
+    // Keys box labels use in QR codes and "KEY:VALUE" pairs.
+    const BOX_KEYS = ["box", "boxno", "boxnumber", "lot", "lotno", "lotnumber"];
+    const PRODUCT_KEYS = ["product", "productcode", "grade", "item"];
+
+    function normalizeCode(value) {
+        return String(value ?? "")
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, "");
+    }
+
+    // Split a label into key/value fields and loose tokens. Labels may be
+    // JSON, "BOX:AD1620301;PRODUCT:BS700D", or values separated by spaces,
+    // pipes, commas or the GS1 group separator.
+    function readLabelParts(text) {
+        const fields = {};
+        const tokens = [];
+        try {
+            const json = JSON.parse(text);
+            if (json && typeof json === "object") {
+                Object.entries(json).forEach(([key, value]) => {
+                    fields[normalizeCode(key).toLowerCase()] = String(value);
+                });
+                return { fields, tokens };
+            }
+        } catch (error) {
+            // Not JSON; read it as delimited text.
+        }
+
+        text.split(/[\s|;,\u001d]+/)
+            .filter(Boolean)
+            .forEach((part) => {
+                const match = /^([a-z_]+)[:=](.*)$/i.exec(part);
+                if (match) {
+                    fields[normalizeCode(match[1]).toLowerCase()] = match[2];
+                } else {
+                    tokens.push(part);
+                }
+            });
+        return { fields, tokens };
+    }
+
+    // Read the box number and, when the label carries one, the product.
+    // products lists the form's product values; the product is only filled
+    // in when it matches one of them.
+    function parseBoxLabel(text, products = []) {
+        const { fields, tokens } = readLabelParts(String(text ?? "").trim());
+        const productsByCode = new Map(
+            products.map((product) => [normalizeCode(product), product]),
+        );
+        const findField = (keys) =>
+            keys.map((key) => fields[key]).find((value) => value);
+
+        const productCode = normalizeCode(findField(PRODUCT_KEYS));
+        const productToken = tokens.find((token) =>
+            productsByCode.has(normalizeCode(token)),
+        );
+        const product =
+            productsByCode.get(productCode) ||
+            productsByCode.get(normalizeCode(productToken)) ||
+            "";
+
+        const boxToken = tokens.find(
+            (token) => token !== productToken && normalizeCode(token),
+        );
+        return {
+            boxNumber: normalizeCode(findField(BOX_KEYS) || boxToken),
+            product,
+        };
+    }
+
+    // Watch for a wedge scanner: a burst of characters, each within
+    // WEDGE_MAX_KEY_GAP_MS of the last, ending in Enter. The burst is taken
+    // back out of the field that had focus and handed to onScan instead.
+    // Returns a function that stops listening.
+    function listenForWedgeScans(target, onScan) {
+        let buffer = "";
+        let lastKeyAt = 0;
+        let field = null;
+        let fieldValue = "";
+
+        function onKeyDown(event) {
+            const now = Date.now();
+            const isFast = now - lastKeyAt <= WEDGE_MAX_KEY_GAP_MS;
+            lastKeyAt = now;
+
+            if (event.key === "Enter") {
+                if (isFast && buffer.length >= WEDGE_MIN_LENGTH) {
+                    event.preventDefault();
+                    if (field && typeof field.value === "string") {
+                        field.value = fieldValue;
+                    }
+                    onScan(buffer);
+                }
+                buffer = "";
+                return;
+            }
+            if (
+                event.key.length !== 1 ||
+                event.ctrlKey ||
+                event.metaKey ||
+                event.altKey
+            ) {
+                return;
+            }
+
+            // A slow key starts a new burst; remember the field to undo it.
+            if (!isFast) {
+                buffer = "";
+                field = event.target;
+                fieldValue = field?.value;
+            }
+            buffer += event.key;
+        }
+
+        target.addEventListener("keydown", onKeyDown, true);
+        return () => target.removeEventListener("keydown", onKeyDown, true);
+    }
+
+    function loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Unable to load ${url}.`));
+            document.head.append(script);
+        });
+    }
+
+    // Return a function that decodes the current video frame, or "" when
+    // nothing is found. BarcodeDetector is used where the browser has it;
+    // elsewhere the ZXing script at fallbackUrl is loaded on first use.
+    async function createFrameDecoder(fallbackUrl) {
+        const Detector = globalThis.BarcodeDetector;
+        if (Detector) {
+            const supported = await Detector.getSupportedFormats();
+            const formats = CAMERA_FORMATS.filter((format) =>
+                supported.includes(format),
+            );
+            if (formats.length > 0) {
+                const detector = new Detector({ formats });
+                return async (video) =>
+                    (await detector.detect(video))[0]?.rawValue || "";
+            }
+        }
+
+        if (!globalThis.ZXing) {
+            await loadScript(fallbackUrl);
+        }
+        const { ZXing } = globalThis;
+        const reader = new ZXing.MultiFormatReader();
+        reader.setHints(
+            new Map([
+                [
+                    ZXing.DecodeHintType.POSSIBLE_FORMATS,
+                    CAMERA_FORMATS.map(
+                        (format) => ZXing.BarcodeFormat[format.toUpperCase()],
+                    ),
+                ],
+                [ZXing.DecodeHintType.TRY_HARDER, true],
+            ]),
+        );
+        const canvas = document.createElement("canvas");
+        const context = canvas.getContext("2d", { willReadFrequently: true });
+
+        return (video) => {
+            if (!video.videoWidth) {
+                return "";
+            }
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            context.drawImage(video, 0, 0);
+            const bitmap = new ZXing.BinaryBitmap(
+                new ZXing.HybridBinarizer(
+                    new ZXing.HTMLCanvasElementLuminanceSource(canvas),
+                ),
+            );
+            try {
+                return reader.decodeWithState(bitmap).getText();
+            } catch (error) {
+                // ZXing throws when the frame has no readable code.
+                return "";
+            }
+        };
+    }
+
+    // Show the back camera in video and decode frames until a code is
+    // found, then stop the camera and call onScan with the text. Resolves to
+    // a function that stops scanning early.
+    async function startCameraScan(video, onScan, options = {}) {
+        const decode = await createFrameDecoder(options.fallbackUrl);
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: "environment" },
+            audio: false,
+        });
+        let stopped = false;
+        let timer = null;
+
+        function stop() {
+            stopped = true;
+            window.clearTimeout(timer);
+            stream.getTracks().forEach((track) => track.stop());
+            video.srcObject = null;
+        }
+
+        async function scanFrame() {
+            if (stopped) {
+                return;
+            }
+            const text = await Promise.resolve(decode(video)).catch(() => "");
+            if (stopped) {
+                return;
+            }
+            if (text) {
+                stop();
+                onScan(text);
+                return;
+            }
+            timer = window.setTimeout(scanFrame, CAMERA_SCAN_INTERVAL_MS);
+        }
+
+        video.srcObject = stream;
+        await video.play();
+        scanFrame();
+        return stop;
+    }
+
+    function isCameraAvailable() {
+        return Boolean(globalThis.navigator?.mediaDevices?.getUserMedia);
+    }
+
+    return {
+        isCameraAvailable,
+        listenForWedgeScans,
+        parseBoxLabel,
+        startCameraScan,
+    };
+});
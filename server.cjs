@@ -1,20 +1,60 @@
 const express = require("express");
 const cors = require("cors");
 const XLSX = require("xlsx");
+const crypto = require("crypto");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const { Worker } = require("worker_threads");
+const {
+    createDateCell,
+    createTimeCell,
+    formatIsoTimestamp,
+    getDateTimeTimestamp,
+    getWallTimestamp,
+    parseIsoTimestamp,
+    resolveTimeZone,
+    wallTimestampToDate,
+} = require("./plant-time.cjs");
+const {
+    getScaleStatus,
+    parseScaleStations,
+    startScaleReaders,
+} = require("./scale-reader.cjs");
+const {
+    DEFAULT_MAX_NET_WEIGHT,
+    inferChipType,
+    validateEntry,
+    validateReceipt,
+} = require("./validation.js");
 
 // Express API that accepts form submissions and writes rows to Excel.
 const app = express();
 const PORT = process.env.PORT || 3000;
 const PUBLIC_FILES = new Set([
     "app.js",
-    "destination.html",
+    "admin.html",
     "favico.svg",
+    "manifest.webmanifest",
+    "dashboard.html",
+    "history.html",
     "index.html",
+    "inventory.html",
+    "receipts.html",
+    "report.html",
+    "scanner.js",
+    "signin.html",
     "style.css",
-    "summary.html",
+    "validation.js",
 ]);
+// Browser scripts served from node_modules. ZXing decodes camera frames where
+// the browser has no BarcodeDetector.
+const VENDOR_FILES = {
+    "zxing.js": require.resolve("@zxing/library/umd/index.min.js"),
+};
+// The tablets' service worker, served with a version of the files it caches.
+const SERVICE_WORKER_PATH = path.join(__dirname, "sw.js");
+const SERVICE_WORKER_VERSION = "__ASSET_VERSION__";
 // const WINDOWS_DEFAULT_FILE_PATH = "Z:\\Nylene consumption sheet.xlsx";
 const WINDOWS_DEFAULT_FILE_PATH = "G:\\Installed Software\\1 Temp\\1 Temp\\Cool Room Consumption Folder\\Nylene consumption sheet.xlsx"
 const LOCAL_DEFAULT_FILE_PATH = path.join(
@@ -24,6 +64,25 @@ const LOCAL_DEFAULT_FILE_PATH = path.join(
 );
 // const FILE_PATH = "Z:\Nylene consumption sheet.xlsx"
 const SHEET_NAME = "Sheet1";
+// How entries are split across sheets (SHEET_PARTITION): everything on
+// SHEET_NAME, or one sheet per month, destination or product.
+const SHEET_PARTITIONS = {
+    single: "Sheet",
+    month: "Month",
+    destination: "Chip Destination",
+    product: "Product",
+};
+const SHEET_PARTITION = getSheetPartition();
+// Totals per entry sheet, kept up to date with every rebuild.
+const SUMMARY_SHEET_NAME = "Summary";
+const SUMMARY_HEADERS = [
+    SHEET_PARTITIONS[SHEET_PARTITION],
+    "Entries",
+    "Net Weight",
+    "Voided Entries",
+];
+// Excel caps sheet names at 31 characters and forbids some characters.
+const MAX_SHEET_NAME_LENGTH = 31;
 const HEADERS = [
     "Box Number",
     "Product",
@@ -32,18 +91,406 @@ const HEADERS = [
     "Date",
     "Time",
     "Net Weight",
+    "Entry ID",
+    "Status",
+    "Submission ID",
+    "Chip Type",
+    "Source/Silo",
+    "Supplier",
+    "Operator ID",
+    "Weight Source",
+    "Captured At",
+    "Shift",
+    "Crew",
+    "Line",
+    "Production Order",
+    "Anomalies",
+];
+// Columns every layout of the sheet has had, checked at startup.
+const REQUIRED_HEADERS = HEADERS.slice(0, 7);
+// Entry fields in the same order as HEADERS.
+const ENTRY_FIELDS = [
+    "boxNumber",
+    "product",
+    "operatorName",
+    "destination",
+    "date",
+    "time",
+    "netWeight",
+    "id",
+    "status",
+    "submissionId",
+    "chipType",
+    "silo",
+    "supplier",
+    "operatorId",
+    "weightSource",
+    "capturedAt",
+    "shift",
+    "crew",
+    "line",
+    "productionOrder",
+    "anomalies",
+];
+const ID_COLUMN = ENTRY_FIELDS.indexOf("id");
+const STATUS_COLUMN = ENTRY_FIELDS.indexOf("status");
+const CHIP_TYPE_COLUMN = ENTRY_FIELDS.indexOf("chipType");
+const SILO_COLUMN = ENTRY_FIELDS.indexOf("silo");
+const SUPPLIER_COLUMN = ENTRY_FIELDS.indexOf("supplier");
+// Chip type values as written to the sheet.
+const CHIP_TYPE_LABELS = {
+    box: "Box",
+    bulk: "Bulk",
+    purchased: "Purchased",
+};
+const SUBMISSION_ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+// Most boxes one batch submission may save.
+const MAX_BATCH_BOXES = 50;
+// Batch values shared by every box; their errors aren't repeated per box.
+const BATCH_SHARED_FIELDS = [
+    "chipType",
+    "product",
+    "operatorName",
+    "destination",
+    "line",
+    "productionOrder",
+];
+// Warn when a box is consumed again within this many minutes (0 disables).
+const BOX_REUSE_WINDOW_MINUTES = getBoxReuseWindowMinutes();
+const STATUS_ACTIVE = "Active";
+const STATUS_VOID = "Void";
+// Fields a correction is allowed to change; date and time stay as captured.
+const EDITABLE_FIELDS = [
+    "chipType",
+    "boxNumber",
+    "silo",
+    "supplier",
+    "product",
+    "operatorName",
+    "destination",
+    "netWeight",
+    "line",
+    "productionOrder",
+];
+const AUDIT_SHEET_NAME = "Audit";
+const AUDIT_HEADERS = [
+    "Timestamp",
+    "Entry ID",
+    "Action",
+    "Field",
+    "Old Value",
+    "New Value",
+    "Changed By",
+    "Reason",
+];
+// Audit record fields in the same order as AUDIT_HEADERS.
+const AUDIT_FIELDS = [
+    "timestamp",
+    "id",
+    "action",
+    "field",
+    "oldValue",
+    "newValue",
+    "changedBy",
+    "reason",
+];
+// Boxes received into the cool room, checked against what is consumed.
+const RECEIPTS_SHEET_NAME = "Receipts";
+const RECEIPT_HEADERS = [
+    "Box Number",
+    "Product",
+    "Supplier",
+    "Gross Weight",
+    "Tare Weight",
+    "Net Weight",
+    "Date",
+    "Time",
+    "Received By",
+    "Receipt ID",
+    "Status",
+    "Submission ID",
+];
+// Receipt fields in the same order as RECEIPT_HEADERS.
+const RECEIPT_FIELDS = [
+    "boxNumber",
+    "product",
+    "supplier",
+    "grossWeight",
+    "tareWeight",
+    "netWeight",
+    "date",
+    "time",
+    "receivedBy",
+    "id",
+    "status",
+    "submissionId",
+];
+// Pounds a box's consumed weight may differ from its received weight before
+// it is flagged (RECEIPT_WEIGHT_TOLERANCE).
+const RECEIPT_WEIGHT_TOLERANCE =
+    Number(process.env.RECEIPT_WEIGHT_TOLERANCE) || 5;
+// Saves that look like typos or runaway scanning need the operator to confirm
+// them, and are flagged in the Anomalies column. Weights are checked against
+// the product's range: set by hand on the product for boxes, otherwise
+// learned once ANOMALY_MIN_SAMPLES entries of it have been saved.
+const ANOMALY_MIN_SAMPLES = Number(process.env.ANOMALY_MIN_SAMPLES) || 20;
+// Learned ranges reach this many quartile spreads past the quartiles.
+const ANOMALY_WEIGHT_FENCE = 3;
+// A destination's hour is unusual past this multiple of its busy hours (the
+// 95th percentile of the last ANOMALY_RATE_HISTORY_DAYS), once it has at
+// least ANOMALY_RATE_MIN_HOURS hours of boxes to compare with.
+const ANOMALY_RATE_FACTOR = Number(process.env.ANOMALY_RATE_FACTOR) || 2;
+const ANOMALY_RATE_HISTORY_DAYS = 28;
+const ANOMALY_RATE_MIN_HOURS = 24;
+// Flags of queued saves nobody confirmed start with this in the Anomalies
+// column.
+const UNCONFIRMED_ANOMALY_PREFIX = "Unconfirmed: ";
+// A queued save may skip the confirmation once it was captured at least this
+// long ago, or when it arrives under a session that has since ended.
+const DEFERRED_ANOMALY_MIN_AGE_MS = 2 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Where a received or consumed box stands in the reconciliation report.
+const INVENTORY_STATUSES = ["open", "consumed", "duplicate", "unknown"];
+// Queued client saves may carry a capture time, but never one from the future
+// and never one older than MAX_CAPTURE_AGE_HOURS.
+const MAX_CAPTURE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_CAPTURE_AGE_HOURS = Number(process.env.MAX_CAPTURE_AGE_HOURS) || 72;
+// Dates and times are written as the plant's clocks read them
+// (PLANT_TIME_ZONE, an IANA zone such as "America/New_York").
+const PLANT_TIME_ZONE = getPlantTimeZone();
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rows handled per turn of the event loop while building an export.
+const EXPORT_CHUNK_SIZE = 500;
+const EXPORT_FORMATS = {
+    csv: "text/csv; charset=utf-8",
+    json: "application/json; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+// Shift windows as "Name=HH:MM-HH:MM" pairs separated by ";" (SHIFT_WINDOWS).
+const DEFAULT_SHIFT_WINDOWS = "Day=06:00-18:00;Night=18:00-06:00";
+// Newest entries the dashboard lists, whatever the shift.
+const DASHBOARD_RECENT_ENTRIES = 20;
+// Comment lines keep idle event streams open through proxies.
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+// Dimensions a consumption report can group by.
+const REPORT_DIMENSIONS = [
+    "product",
+    "destination",
+    "operator",
+    "chipType",
+    "shift",
+    "day",
+    "week",
+    "sheet",
+    "crew",
+    "line",
+    "productionOrder",
 ];
 
 // Excel path used by the save endpoint (override with EXCEL_FILE_PATH).
 const FILE_PATH = getExcelFilePath();
+// Master data lives beside the workbook (override with MASTER_DATA_PATH).
+const MASTER_DATA_PATH = process.env.MASTER_DATA_PATH
+    ? path.resolve(process.env.MASTER_DATA_PATH)
+    : path.join(path.dirname(FILE_PATH), "master-data.json");
+// Append-only journal holding every entry and audit record; the workbook is
+// rebuilt from it (override with JOURNAL_PATH).
+const JOURNAL_PATH = process.env.JOURNAL_PATH
+    ? path.resolve(process.env.JOURNAL_PATH)
+    : path.join(path.dirname(FILE_PATH), "consumption-journal.jsonl");
+// Longest the workbook lags behind the journal after a change.
+const WORKBOOK_REBUILD_DELAY_MS =
+    Number(process.env.WORKBOOK_REBUILD_DELAY_MS) || 5000;
+const WORKBOOK_WRITER_PATH = path.join(__dirname, "workbook-writer.cjs");
+// Rolling backups of the journal and workbook (override with BACKUP_DIR).
+const BACKUP_DIR = process.env.BACKUP_DIR
+    ? path.resolve(process.env.BACKUP_DIR)
+    : path.join(path.dirname(FILE_PATH), "backups");
+const BACKUP_MANIFEST = "backup.json";
+// Backup folders are named after their UTC time, e.g. 20261019T191700123Z.
+const BACKUP_ID_PATTERN = /^\d{8}T\d{9}Z$/;
+// Minutes between automatic backups, and how many backups to keep.
+const BACKUP_INTERVAL_MINUTES = Number(process.env.BACKUP_INTERVAL_MINUTES) || 60;
+const BACKUP_RETENTION = Number(process.env.BACKUP_RETENTION) || 48;
+// Each role can do everything the roles before it can: operators submit,
+// supervisors view, edit, void and report, admins manage master data, backups
+// and operators.
+const ROLES = ["operator", "supervisor", "admin"];
+// Tokens for service integrations, sent as "Authorization: Bearer <token>".
+// API_TOKENS lists them as name:role:token, comma separated; ADMIN_TOKEN adds
+// an admin token named "admin" to set up the first admin operator.
+const API_TOKENS = getApiTokens();
+// Browser origins allowed to call the API, comma separated ("*" for any).
+// Pages served by this server are same-origin and always work.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+// Operator registry with badges and PIN hashes (override with OPERATORS_PATH).
+const OPERATORS_PATH = process.env.OPERATORS_PATH
+    ? path.resolve(process.env.OPERATORS_PATH)
+    : path.join(path.dirname(FILE_PATH), "operators.json");
+// Shift calendar with crews and their rotation (override with
+// SHIFT_CALENDAR_PATH). Without it, shifts come from SHIFT_WINDOWS and
+// entries have no crew:
+//   {
+//     "shifts": [{ "name": "Day", "start": "06:00", "end": "18:00" }, ...],
+//     "crews": ["A", "B", "C", "D"],
+//     "rotation": {
+//       "startsOn": "2026-01-05",
+//       "days": [{ "Day": "A", "Night": "C" }, { "Day": "B", "Night": "D" }, ...]
+//     }
+//   }
+// The rotation repeats every days.length days from startsOn; each day names
+// the crew on each shift that starts that day.
+const SHIFT_CALENDAR_PATH = process.env.SHIFT_CALENDAR_PATH
+    ? path.resolve(process.env.SHIFT_CALENDAR_PATH)
+    : path.join(path.dirname(FILE_PATH), "shift-calendar.json");
+// Open production orders exported from the planning system as CSV, one row
+// per bill of materials line (override with OPEN_ORDERS_PATH):
+//   Production Order,Line,Product,Quantity
+//   PO-10452,Line 2,BS700D,12000
+const OPEN_ORDERS_PATH = process.env.OPEN_ORDERS_PATH
+    ? path.resolve(process.env.OPEN_ORDERS_PATH)
+    : path.join(path.dirname(FILE_PATH), "open-orders.csv");
+// Operators are signed out after this many minutes without activity.
+const SESSION_IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES) || 15;
+// Ended sessions are remembered this long so saves queued offline still send.
+const SESSION_REPLAY_MS = 24 * 60 * 60 * 1000;
+const PIN_PATTERN = /^\d{4,8}$/;
+// Wrong PINs allowed before the operator is locked out for a while.
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+// Heaviest net weight (lbs) a single entry may record.
+const MAX_NET_WEIGHT =
+    Number(process.env.MAX_NET_WEIGHT) > 0
+        ? Number(process.env.MAX_NET_WEIGHT)
+        : DEFAULT_MAX_NET_WEIGHT;
+// Floor scales the form can capture weights from (see scale-reader.cjs).
+const SCALE_STATIONS = parseScaleStations(process.env.SCALE_STATIONS);
+// Weights typed in by hand; scale weights record the station they came from.
+const WEIGHT_SOURCE_MANUAL = "Manual";
+const SCALE_STATUS_ERRORS = {
+    offline: "The scale isn't sending weights. Check its cable and power.",
+    motion: "The scale is still settling. Try again once it is steady.",
+    overload: "The scale is overloaded.",
+};
+// Lists seeded into a new master data file; admins maintain them after that.
+const DEFAULT_MASTER_DATA = {
+    products: [
+        "CSDN-INT",
+        "BS700D",
+        "BS640T",
+        "BS640A",
+        "BS640AFOIL",
+        "BS600CSDN",
+        "BS700AFOIL",
+        "BS700RA",
+        "BX3WQ662X",
+        "BX3WQ662",
+        "BX3WQ662XBAGS",
+        "BX3WQ662BAGS",
+        "WASTE",
+        "OLIGOMERS",
+        "SLUDGE",
+        "UNEXT-CHIP",
+        "CAPRO",
+        "BS700R80",
+        "BS640UX",
+        "BX3RF",
+        "PA6-205",
+        "BS700A",
+        "BX3WQ662X-02BAGS",
+        "L-195-1",
+        "L-195-2",
+        "L-196",
+        "700D-INT",
+        "INT 190",
+    ].map((value) => ({ value, label: value })),
+    silos: ["A-Bulk", "B-Bulk", "C-Bulk"].map((value) => ({
+        value,
+        label: value,
+    })),
+    suppliers: ["BASF", "AdvanSix", "MOHAWK"].map((value) => ({
+        value,
+        label: value,
+    })),
+    destinations: [
+        { value: "DCA", label: "DCA" },
+        { value: "DCB", label: "DCB" },
+        { value: "PCH", label: "PCH | DCA Silo" },
+        { value: "Coperion", label: "Coperion" },
+        { value: "Dryer", label: "Dryer" },
+        { value: "Silo", label: "Silo" },
+        { value: "Recovery", label: "Recovery" },
+        { value: "Reposting", label: "Reposting" },
+    ],
+};
+const MASTER_DATA_LISTS = Object.keys(DEFAULT_MASTER_DATA);
+// In-memory copy of the master data file, reloaded when the file changes.
+let masterDataCache = null;
+// In-memory copy of the operator registry, reloaded when the file changes.
+let operatorsCache = null;
+// Last good shift calendar and open orders read, reloaded when the file
+// changes; a broken file keeps the previous copy.
+let shiftCalendarCache = null;
+let openOrdersCache = null;
+// Version of the served browser files, rehashed when any of them changes.
+let assetVersionCache = null;
+// Signed-in operators by session token.
+const sessions = new Map();
+// Recent wrong PINs by operator ID.
+const pinFailures = new Map();
+// Lock file that keeps other server instances from appending to the journal
+// or replacing the workbook at the same time.
+const LOCK_FILE_PATH = `${FILE_PATH}.lock`;
+// Locks older than this are left over from a crashed writer.
+const LOCK_STALE_MS = Number(process.env.WORKBOOK_LOCK_STALE_MS) || 60 * 1000;
+// Seconds a client should wait before retrying a locked write.
+const LOCK_RETRY_AFTER_SECONDS = 2;
+const WORKBOOK_LOCKED = "WORKBOOK_LOCKED";
+// Tail of the in-process write queue; every journal append chains onto it.
+let writeQueue = Promise.resolve();
+// In-memory view of the journal, caught up from offset before each use.
+const journal = {
+    inode: null,
+    offset: 0,
+    entries: new Map(),
+    bySubmission: new Map(),
+    byBox: new Map(),
+    audit: [],
+    receipts: new Map(),
+    receiptsBySubmission: new Map(),
+    receiptsByBox: new Map(),
+};
+// Learned weight ranges, kept until the journal changes.
+let learnedWeightRanges = null;
+// Pending and running workbook rebuilds.
+let rebuildTimer = null;
+let rebuildRunning = false;
+// Open GET /events responses, with who opened them.
+const eventClients = new Set();
 
-app.use(cors());
+app.use(
+    cors({
+        origin: CORS_ORIGINS.includes("*") ? "*" : CORS_ORIGINS,
+        // Lets the history page name downloaded exports.
+        exposedHeaders: ["Content-Disposition"],
+    }),
+);
 app.use(express.json({ limit: "1mb" }));
 
 app.get("/", (req, res) => {
     res.sendFile(path.join(__dirname, "index.html"));
 });
 
+// The destination and summary pages became steps of the entry wizard; old
+// bookmarks start a new entry.
+app.get(["/destination.html", "/summary.html"], (req, res) => {
+    res.redirect("index.html");
+});
 app.get("/:file", (req, res, next) => {
     const fileName = req.params.file;
     if (!PUBLIC_FILES.has(fileName)) {
@@ -53,6 +500,26 @@ app.get("/:file", (req, res, next) => {
     return res.sendFile(path.join(__dirname, fileName));
 });
 
+// Deploying new browser files changes the worker, so tablets fetch them.
+app.get("/sw.js", (req, res) => {
+    const script = fs
+        .readFileSync(SERVICE_WORKER_PATH, "utf8")
+        .replace(SERVICE_WORKER_VERSION, getAssetVersion());
+    res.set("Cache-Control", "no-cache");
+    res.type("js").send(script);
+});
+app.get("/vendor/:file", (req, res, next) => {
+    const fileName = req.params.file;
+    if (!Object.hasOwn(VENDOR_FILES, fileName)) {
+        return next();
+    }
+
+    return res.sendFile(VENDOR_FILES[fileName]);
+});
+
+// Every API route below is guarded by requireRole, except signing in.
+app.use(authenticate);
+
 function getExcelFilePath() {
     if (process.env.EXCEL_FILE_PATH) {
         return path.resolve(process.env.EXCEL_FILE_PATH);
@@ -65,6 +532,73 @@ function getExcelFilePath() {
     return path.resolve(LOCAL_DEFAULT_FILE_PATH);
 }
 
+// A short hash of every browser file, the service worker included.
+function getAssetVersion() {
+    const files = [
+        ...Array.from(PUBLIC_FILES, (file) => path.join(__dirname, file)),
+        ...Object.values(VENDOR_FILES),
+        SERVICE_WORKER_PATH,
+    ];
+    const key = files.map((file) => fs.statSync(file).mtimeMs).join(",");
+    if (assetVersionCache?.key !== key) {
+        const hash = crypto.createHash("sha256");
+        files.forEach((file) => hash.update(fs.readFileSync(file)));
+        assetVersionCache = { key, version: hash.digest("hex").slice(0, 12) };
+    }
+    return assetVersionCache.version;
+}
+
+function getSheetPartition() {
+    const value = (process.env.SHEET_PARTITION || "single").trim().toLowerCase();
+    if (Object.hasOwn(SHEET_PARTITIONS, value)) {
+        return value;
+    }
+    console.warn(`Unknown SHEET_PARTITION "${value}"; using one sheet.`);
+    return "single";
+}
+
+function getPlantTimeZone() {
+    const value = (process.env.PLANT_TIME_ZONE || "").trim();
+    const timeZone = resolveTimeZone(value || undefined);
+    if (timeZone) {
+        return timeZone;
+    }
+    const fallback = resolveTimeZone(undefined);
+    console.warn(`Unknown PLANT_TIME_ZONE "${value}"; using ${fallback}.`);
+    return fallback;
+}
+
+function getBoxReuseWindowMinutes() {
+    const configured = Number(process.env.BOX_REUSE_WINDOW_MINUTES);
+    return Number.isFinite(configured) && configured >= 0
+        ? configured
+        : 24 * 60;
+}
+
+function getApiTokens() {
+    const tokens = [];
+    (process.env.API_TOKENS || "").split(",").forEach((item) => {
+        if (!item.trim()) {
+            return;
+        }
+        const [name, role, ...rest] = item.trim().split(":");
+        const token = rest.join(":");
+        if (!name || !ROLES.includes(role) || !token) {
+            console.warn(`Ignoring API token "${name}": use name:role:token.`);
+            return;
+        }
+        tokens.push({ name, role, token });
+    });
+    if (process.env.ADMIN_TOKEN) {
+        tokens.push({
+            name: "admin",
+            role: "admin",
+            token: process.env.ADMIN_TOKEN,
+        });
+    }
+    return tokens;
+}
+
 function getTrimmedString(value) {
     return typeof value === "string" ? value.trim() : "";
 }
@@ -85,278 +619,3878 @@ function headersMatch(expected, actual) {
     );
 }
 
-// Normalize and validate the incoming payload for required fields.
-function validatePayload(body) {
-    const boxNumber = getTrimmedString(body?.boxNumber);
-    const product = getTrimmedString(body?.product);
-    const operatorName = getTrimmedString(body?.operatorName);
-    const destination = getTrimmedString(body?.destination);
-    const netWeight = getTrimmedString(body?.netWeight);
+function createMasterDataItem(item) {
+    const created = {
+        value: item.value,
+        label: item.label || item.value,
+        active: item.active !== false,
+    };
+    // Products may have a hand-set box weight range for the anomaly checks.
+    if (Number.isFinite(item.minWeight) && Number.isFinite(item.maxWeight)) {
+        created.minWeight = item.minWeight;
+        created.maxWeight = item.maxWeight;
+    }
+    return created;
+}
 
-    const missing = [];
-    if (!boxNumber) {
-        missing.push("boxNumber");
+function readMasterDataFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        const seeded = {};
+        MASTER_DATA_LISTS.forEach((list) => {
+            seeded[list] = DEFAULT_MASTER_DATA[list].map(createMasterDataItem);
+        });
+        return seeded;
     }
-    if (!product) {
-        missing.push("product");
+
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const data = {};
+    MASTER_DATA_LISTS.forEach((list) => {
+        const items = Array.isArray(stored[list])
+            ? stored[list]
+            : DEFAULT_MASTER_DATA[list];
+        data[list] = items.map(createMasterDataItem);
+    });
+    return data;
+}
+
+// Return the master data, re-reading the file if another process changed it.
+function getMasterData() {
+    const mtimeMs = fs.existsSync(MASTER_DATA_PATH)
+        ? fs.statSync(MASTER_DATA_PATH).mtimeMs
+        : 0;
+    if (!masterDataCache || masterDataCache.mtimeMs !== mtimeMs) {
+        masterDataCache = {
+            mtimeMs,
+            data: readMasterDataFile(MASTER_DATA_PATH),
+        };
     }
-    if (!operatorName) {
-        missing.push("operatorName");
+    return masterDataCache.data;
+}
+
+function saveMasterData(data) {
+    ensureDirectoryExists(MASTER_DATA_PATH);
+    const tempPath = `${MASTER_DATA_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, MASTER_DATA_PATH);
+    masterDataCache = null;
+}
+
+function getActiveValues(list) {
+    return new Set(
+        getMasterData()[list]
+            .filter((item) => item.active)
+            .map((item) => item.value),
+    );
+}
+
+function getActiveLists() {
+    const lists = {};
+    MASTER_DATA_LISTS.forEach((list) => {
+        lists[list] = Array.from(getActiveValues(list));
+    });
+    return lists;
+}
+
+// Group the CSV's bill of materials lines by production order. Throws when
+// it has no Production Order column.
+function readOpenOrdersFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
     }
-    if (!destination) {
-        missing.push("destination");
+
+    // raw keeps order numbers such as 000123 as they are written.
+    const text = fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "");
+    const workbook = XLSX.read(text, { type: "string", raw: true });
+    const rows = XLSX.utils.sheet_to_json(
+        workbook.Sheets[workbook.SheetNames[0]],
+        { header: 1, defval: "", blankrows: false },
+    );
+    const headerRow = (rows[0] || []).map(normalizeHeaderValue);
+    const [orderColumn, lineColumn, productColumn, quantityColumn] = [
+        "Production Order",
+        "Line",
+        "Product",
+        "Quantity",
+    ].map((header) => headerRow.indexOf(normalizeHeaderValue(header)));
+    if (orderColumn === -1) {
+        throw new Error("It has no Production Order column.");
     }
-    if (!netWeight) {
-        missing.push("netWeight");
+
+    const orders = new Map();
+    rows.slice(1).forEach((row) => {
+        const cell = (index) =>
+            index === -1 ? "" : getTrimmedString(String(row[index] ?? ""));
+        const order = cell(orderColumn);
+        if (!order) {
+            return;
+        }
+        if (!orders.has(order)) {
+            orders.set(order, { order, line: cell(lineColumn), materials: [] });
+        }
+        const product = cell(productColumn);
+        if (product) {
+            const quantity = Number.parseFloat(cell(quantityColumn));
+            orders.get(order).materials.push({
+                product,
+                quantity: Number.isFinite(quantity) ? quantity : null,
+            });
+        }
+    });
+    return Array.from(orders.values());
+}
+
+// Return the open orders, re-reading the file if the planners replaced it.
+function getOpenOrders() {
+    const mtimeMs = fs.existsSync(OPEN_ORDERS_PATH)
+        ? fs.statSync(OPEN_ORDERS_PATH).mtimeMs
+        : 0;
+    if (!openOrdersCache || openOrdersCache.mtimeMs !== mtimeMs) {
+        try {
+            openOrdersCache = {
+                mtimeMs,
+                orders: readOpenOrdersFile(OPEN_ORDERS_PATH),
+            };
+        } catch (error) {
+            console.error(
+                `Ignoring the open orders at ${OPEN_ORDERS_PATH}: ${error.message}`,
+            );
+            openOrdersCache = { mtimeMs, orders: openOrdersCache?.orders || [] };
+        }
     }
+    return openOrdersCache.orders;
+}
 
-    return {
-        boxNumber,
-        product,
-        operatorName,
-        destination,
-        netWeight,
-        missing,
-    };
+function hashPin(pin, salt) {
+    return crypto.scryptSync(pin, salt, 32).toString("hex");
 }
 
-// Ensure the directory structure exists before writing the Excel file.
-function ensureDirectoryExists(filePath) {
-    const directory = path.dirname(filePath);
-    fs.mkdirSync(directory, { recursive: true });
+function setOperatorPin(operator, pin) {
+    operator.pinSalt = crypto.randomBytes(16).toString("hex");
+    operator.pinHash = hashPin(pin, operator.pinSalt);
 }
 
-// Load an existing workbook or create a new one.
-function loadWorkbook(filePath) {
-    if (fs.existsSync(filePath)) {
-        return XLSX.readFile(filePath);
-    }
-    return XLSX.utils.book_new();
+function verifyPin(operator, pin) {
+    const given = Buffer.from(hashPin(pin, operator.pinSalt), "hex");
+    const expected = Buffer.from(operator.pinHash, "hex");
+    return (
+        given.length === expected.length && crypto.timingSafeEqual(given, expected)
+    );
 }
 
-// Guarantee the worksheet exists and has header row in place.
-function getOrCreateWorksheet(workbook) {
-    let worksheet = workbook.Sheets[SHEET_NAME];
-    if (!worksheet) {
-        worksheet = XLSX.utils.aoa_to_sheet([HEADERS]);
-        XLSX.utils.book_append_sheet(workbook, worksheet, SHEET_NAME);
-        return worksheet;
+function readOperatorsFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
     }
 
-    if (!worksheet["!ref"]) {
-        XLSX.utils.sheet_add_aoa(worksheet, [HEADERS], { origin: "A1" });
-    } else {
-        const headerRow = XLSX.utils.sheet_to_json(worksheet, {
-            header: 1,
-            range: 0,
-        })[0];
-        // if (!headerRow || headerRow.length < HEADERS.lengthds) {
-        if (!headersMatch(HEADERS, headerRow)) {
-            XLSX.utils.sheet_add_aoa(worksheet, [HEADERS], { origin: "A1" });
-        }
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return Array.isArray(stored.operators) ? stored.operators : [];
+}
+
+// Return the operators, re-reading the file if another process changed it.
+function getOperators() {
+    const mtimeMs = fs.existsSync(OPERATORS_PATH)
+        ? fs.statSync(OPERATORS_PATH).mtimeMs
+        : 0;
+    if (!operatorsCache || operatorsCache.mtimeMs !== mtimeMs) {
+        operatorsCache = {
+            mtimeMs,
+            operators: readOperatorsFile(OPERATORS_PATH),
+        };
     }
+    return operatorsCache.operators;
+}
 
-    return worksheet;
+function saveOperators(operators) {
+    ensureDirectoryExists(OPERATORS_PATH);
+    const tempPath = `${OPERATORS_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ operators }, null, 2));
+    fs.renameSync(tempPath, OPERATORS_PATH);
+    operatorsCache = null;
 }
 
-function parseDateCell(value) {
-    if (value instanceof Date) {
-        return {
-            year: value.getFullYear(),
-            month: value.getMonth() + 1,
-            day: value.getDate(),
-        };
+// Operators saved before roles existed are plain operators.
+function getOperatorRole(operator) {
+    return operator.role || "operator";
+}
+
+// Everything but the PIN hash; badges and roles are only shown to admins.
+function toPublicOperator(operator, includeBadge = false) {
+    const result = { id: operator.id, name: operator.name };
+    if (includeBadge) {
+        result.badge = operator.badge;
+        result.role = getOperatorRole(operator);
+        result.active = operator.active;
     }
+    return result;
+}
 
-    if (typeof value === "number" && Number.isFinite(value)) {
-        const parsed = XLSX.SSF.parse_date_code(value);
-        if (parsed) {
-            return {
-                year: parsed.y,
-                month: parsed.m,
-                day: parsed.d,
-            };
+// Check a new or changed operator. Names and badges must be unique, and
+// fields left undefined are not being changed.
+function validateOperator(operators, values, current) {
+    const errors = {};
+    const isTaken = (field) =>
+        operators.some(
+            (operator) =>
+                operator !== current &&
+                normalizeHeaderValue(operator[field]) ===
+                    normalizeHeaderValue(values[field]),
+        );
+
+    if (values.name !== undefined) {
+        const { errors: nameErrors } = validateEntry(
+            { operatorName: values.name },
+            { fields: ["operatorName"] },
+        );
+        if (nameErrors.operatorName) {
+            errors.name = nameErrors.operatorName;
+        } else if (isTaken("name")) {
+            errors.name = "Another operator already has this name.";
         }
     }
+    if (values.badge && isTaken("badge")) {
+        errors.badge = "Another operator already has this badge.";
+    }
+    if (values.pin !== undefined && !PIN_PATTERN.test(values.pin)) {
+        errors.pin = "PIN must be 4 to 8 digits.";
+    }
+    if (values.role !== undefined && !ROLES.includes(values.role)) {
+        errors.role = `Role must be ${ROLES.join(", ")}.`;
+    }
+    return errors;
+}
 
-    const text = getTrimmedString(String(value ?? ""));
-    const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
-    if (!match) {
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    return match ? match[1] : "";
+}
+
+// Close idle sessions and forget the ones too old to replay saves for.
+function pruneSessions() {
+    const now = Date.now();
+    const idleMs = SESSION_IDLE_MINUTES * 60 * 1000;
+    sessions.forEach((session, token) => {
+        if (!session.endedAt && now - session.lastSeen > idleMs) {
+            session.endedAt = session.lastSeen + idleMs;
+        }
+        if (session.endedAt && now - session.endedAt > SESSION_REPLAY_MS) {
+            sessions.delete(token);
+        }
+    });
+}
+
+// The token's live session; using it counts as activity.
+function getActiveSession(token) {
+    pruneSessions();
+    const session = sessions.get(token);
+    if (!session || session.endedAt) {
         return null;
     }
+    session.lastSeen = Date.now();
+    return session;
+}
+
+// A save queued offline may arrive after its session timed out; it still
+// counts when it was captured while the session was live. Sessions ended on
+// purpose (sign-out, or an admin retiring the operator) are revoked and
+// replay nothing.
+function allowEndedSession(req, res, next) {
+    const session = sessions.get(getBearerToken(req));
+    const capturedAt = parseCapturedAt(req.body?.capturedAt);
+    if (!req.auth && session?.endedAt && !session.revoked && capturedAt) {
+        const time = capturedAt.getTime();
+        if (
+            time >= session.createdAt - MAX_CAPTURE_CLOCK_SKEW_MS &&
+            time <= session.endedAt
+        ) {
+            req.auth = { ...getSessionAuth(session), replayed: true };
+        }
+    }
+    return next();
+}
+
+function revokeSession(session) {
+    session.endedAt = session.endedAt || Date.now();
+    session.revoked = true;
+}
+
+// Includes sessions that already timed out, so none of them replay saves.
+function endOperatorSessions(operatorId) {
+    sessions.forEach((session) => {
+        if (session.operatorId === operatorId) {
+            revokeSession(session);
+        }
+    });
+}
+
+function sendSessionRequired(res) {
+    return res.status(401).json({
+        error: "Please sign in again.",
+        code: "SESSION_REQUIRED",
+    });
+}
 
-    const [, month, day, year] = match;
-    const fullYear = year.length === 2 ? `20${year}` : year;
+function findApiToken(token) {
+    const given = crypto.createHash("sha256").update(token).digest();
+    return API_TOKENS.find((candidate) =>
+        crypto.timingSafeEqual(
+            given,
+            crypto.createHash("sha256").update(candidate.token).digest(),
+        ),
+    );
+}
 
+function getSessionAuth(session) {
     return {
-        year: Number(fullYear),
-        month: Number(month),
-        day: Number(day),
+        name: session.name,
+        role: session.role,
+        operatorId: session.operatorId,
+        session,
     };
 }
 
-function parseTimeCell(value) {
-    if (value instanceof Date) {
-        return {
-            hour: value.getHours(),
-            minute: value.getMinutes(),
-            second: value.getSeconds(),
-        };
+// Who holds the token: an API token or a live operator session.
+function getTokenAuth(token) {
+    const apiToken = token ? findApiToken(token) : null;
+    if (apiToken) {
+        return { name: apiToken.name, role: apiToken.role, operatorId: "" };
     }
 
-    if (typeof value === "number" && Number.isFinite(value)) {
-        const secondsInDay = 24 * 60 * 60;
-        const totalSeconds = Math.round((value % 1) * secondsInDay);
+    const session = token ? getActiveSession(token) : null;
+    return session ? getSessionAuth(session) : null;
+}
 
-        return {
-            hour: Math.floor(totalSeconds / 3600),
-            minute: Math.floor((totalSeconds % 3600) / 60),
-            second: totalSeconds % 60,
-        };
-    }
+// Work out who is calling, from an API token or a live operator session.
+function authenticate(req, res, next) {
+    req.auth = getTokenAuth(getBearerToken(req));
+    return next();
+}
 
-    const text = getTrimmedString(String(value ?? ""));
-    const match = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i);
-    if (!match) {
-        return null;
+// EventSource can't send headers, so the event stream takes ?token= too.
+function authenticateQueryToken(req, res, next) {
+    if (!req.auth && typeof req.query.token === "string") {
+        req.auth = getTokenAuth(req.query.token);
     }
+    return next();
+}
 
-    const [, hourText, minuteText, secondText = "0", meridiem] = match;
-    let hour = Number(hourText);
-    if (meridiem) {
-        const normalizedMeridiem = meridiem.toUpperCase();
-        if (normalizedMeridiem === "PM" && hour !== 12) {
-            hour += 12;
-        } else if (normalizedMeridiem === "AM" && hour === 12) {
-            hour = 0;
+function hasRole(auth, role) {
+    return Boolean(auth) && ROLES.indexOf(auth.role) >= ROLES.indexOf(role);
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return sendSessionRequired(res);
         }
+        if (!hasRole(req.auth, role)) {
+            return res.status(403).json({
+                error: `This needs ${role} access.`,
+                code: "ROLE_REQUIRED",
+                role,
+            });
+        }
+        return next();
+    };
+}
+
+const requireOperator = requireRole("operator");
+const requireSupervisor = requireRole("supervisor");
+const requireAdmin = requireRole("admin");
+
+// Admin pages list retired items and badges with ?all=1.
+function requireAdminForAll(req, res, next) {
+    return req.query.all === "1" ? requireAdmin(req, res, next) : next();
+}
+
+// "Manual", or e.g. "Scale (Line1)" when the form captured the weight from
+// a station's scale. Returns null for a station this server doesn't know.
+function getWeightSource(body) {
+    if (body?.weightSource !== "scale") {
+        return WEIGHT_SOURCE_MANUAL;
     }
 
-    return {
-        hour,
-        minute: Number(minuteText),
-        second: Number(secondText),
-    };
+    const stationId = getTrimmedString(body.scaleStationId);
+    return SCALE_STATIONS.some((station) => station.id === stationId)
+        ? `Scale (${stationId})`
+        : null;
 }
 
-function getRowTimestamp(row) {
-    const date = parseDateCell(row[4]);
-    const time = parseTimeCell(row[5]);
-    if (!date || !time) {
+// Normalize and validate the incoming payload with the shared rules.
+function validatePayload(body) {
+    const { values, errors } = validateEntry(body, {
+        lists: getActiveLists(),
+        orders: getOpenOrders(),
+        maxNetWeight: MAX_NET_WEIGHT,
+    });
+    return { ...values, errors };
+}
+
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({
+        error: "Some fields are missing or invalid.",
+        fields: Object.keys(errors),
+        errors,
+    });
+}
+
+// Use the client capture time when given, otherwise the current time. It
+// must be ISO-8601 with a zone and within the clock skew and age bounds.
+function parseCapturedAt(value) {
+    const text = getTrimmedString(value);
+    const now = new Date();
+    if (!text) {
+        return now;
+    }
+
+    const captured = parseIsoTimestamp(text);
+    if (
+        !captured ||
+        captured.instant - now.getTime() > MAX_CAPTURE_CLOCK_SKEW_MS ||
+        now.getTime() - captured.instant > MAX_CAPTURE_AGE_HOURS * 60 * 60 * 1000
+    ) {
         return null;
     }
 
-    const timestamp = Date.UTC(
-        date.year,
-        date.month - 1,
-        date.day,
-        time.hour,
-        time.minute,
-        time.second,
-    );
+    return new Date(captured.instant);
+}
 
-    return Number.isFinite(timestamp) ? timestamp : null;
+function sendInvalidCaptureTime(res) {
+    return res.status(400).json({
+        error: `Capture time must be an ISO-8601 time with a time zone, at most ${
+            MAX_CAPTURE_CLOCK_SKEW_MS / 60000
+        } minutes ahead of the server clock and ${MAX_CAPTURE_AGE_HOURS} hours behind it.`,
+        code: "INVALID_CAPTURE_TIME",
+        fields: ["capturedAt"],
+    });
 }
 
-function sortRowsNewestFirst(rows) {
-    return rows
-        .map((row, index) => ({
-            row,
-            index,
-            timestamp: getRowTimestamp(row),
-        }))
-        .sort((left, right) => {
-            if (left.timestamp !== null && right.timestamp !== null) {
-                return right.timestamp - left.timestamp || left.index - right.index;
-            }
-            if (left.timestamp !== null) {
-                return -1;
-            }
-            if (right.timestamp !== null) {
-                return 1;
-            }
-            return left.index - right.index;
-        })
-        .map(({ row }) => row);
+// Ensure the directory structure exists before writing the Excel file.
+function ensureDirectoryExists(filePath) {
+    const directory = path.dirname(filePath);
+    fs.mkdirSync(directory, { recursive: true });
 }
 
-function addNewestRowFirst(workbook, worksheet, row) {
-    const existingRows = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: "",
-        blankrows: false,
-        raw: false,
-    });
-    const dataRows = existingRows.slice(1);
-    const newestFirstRows = sortRowsNewestFirst([row, ...dataRows]);
+// Load an existing workbook or create a new one.
+function loadWorkbook(filePath) {
+    if (fs.existsSync(filePath)) {
+        return XLSX.readFile(filePath);
+    }
+    return XLSX.utils.book_new();
+}
 
-    workbook.Sheets[SHEET_NAME] = XLSX.utils.aoa_to_sheet([
-        HEADERS,
-        ...newestFirstRows,
-    ]);
+function createWorkbookLockedError(message) {
+    const error = new Error(message);
+    error.code = WORKBOOK_LOCKED;
+    return error;
 }
 
-app.post("/save", (req, res) => {
-    // Validate the request and return field-level errors if needed.
-    const {
-        boxNumber,
-        product,
-        operatorName,
-        destination,
-        netWeight,
-        missing,
-    } = validatePayload(req.body);
+function isWorkbookLockedError(error) {
+    return error?.code === WORKBOOK_LOCKED;
+}
 
-    if (missing.length > 0) {
-        return res.status(400).json({
-            error: "Missing required fields.",
-            fields: missing,
-        });
+// Excel drops a "~$" owner file next to any workbook it has open.
+function isOpenInExcel(filePath) {
+    const directory = path.dirname(filePath);
+    const baseName = path.basename(filePath);
+    // Long names have their first two characters replaced by "~$".
+    return [`~$${baseName}`, `~$${baseName.slice(2)}`].some((name) =>
+        fs.existsSync(path.join(directory, name)),
+    );
+}
+
+function isProcessRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === "EPERM";
     }
+}
 
-    // Capture date and time separately to match the Excel columns.
-    const now = new Date();
-    const date = now.toLocaleDateString("en-US");
-    const time = now.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-    });
+function isStaleLock(lockPath) {
+    let lock;
+    try {
+        lock = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+    } catch (error) {
+        // Unreadable lock files are treated as stale once they age out.
+        lock = {};
+    }
 
-    const row = [
-        boxNumber,
-        product,
-        operatorName,
-        destination,
-        date,
-        time,
-        netWeight,
-    ];
+    const acquiredAt = Date.parse(lock.acquiredAt) || fs.statSync(lockPath).mtimeMs;
+    if (Date.now() - acquiredAt > LOCK_STALE_MS) {
+        return true;
+    }
 
-    try {
-       // Keep the newest submission directly under the header row.
-        ensureDirectoryExists(FILE_PATH);
-        const workbook = loadWorkbook(FILE_PATH);
-        const worksheet = getOrCreateWorksheet(workbook);
+    return lock.host === os.hostname() && !isProcessRunning(lock.pid);
+}
 
-        // XLSX.utils.sheet_add_aoa(worksheet, [row], { origin: -1 }--);
-         addNewestRowFirst(workbook, worksheet, row);
-        XLSX.writeFile(workbook, FILE_PATH);
+// Take the lock file next to the workbook or fail with a retryable error.
+function acquireWorkbookLock(lockPath) {
+    const lock = JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        acquiredAt: new Date().toISOString(),
+    });
 
-        // return res.json({ success: true });
-          return res.json({ success: true, filePath: FILE_PATH });
-    } catch (error) {
-        // console.error("Failed to save data to Excel file.", error);
-        // return res.status(500).json({ error: "Unable to save data." });
-        console.error(`Failed to save data to Excel file at ${FILE_PATH}.`, error);
-        return res.status(500).json({
-            error: "Unable to save data.",
-            filePath: FILE_PATH,
-        });
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+        try {
+            fs.writeFileSync(lockPath, lock, { flag: "wx" });
+            return;
+        } catch (error) {
+            if (error.code !== "EEXIST") {
+                throw error;
+            }
+            if (attempt > 0 || !isStaleLock(lockPath)) {
+                break;
+            }
+            fs.rmSync(lockPath, { force: true });
+        }
     }
-});
 
-app.listen(PORT, () => {
-    // Simple startup log for local development.
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log(`Excel file path: ${FILE_PATH}`);
+    throw createWorkbookLockedError(
+        "The workbook is being saved by another server. Try again shortly.",
+    );
+}
+
+function releaseWorkbookLock(lockPath) {
+    fs.rmSync(lockPath, { force: true });
+}
+
+// Rebuild the workbook in a worker thread; resolves with the temp file it
+// wrote, for installWorkbook to rename into place.
+function runWorkbookWriter(sheets) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKBOOK_WRITER_PATH, {
+            workerData: {
+                filePath: FILE_PATH,
+                sheets,
+                entryHeaders: REQUIRED_HEADERS,
+            },
+        });
+        worker.once("message", (result) => {
+            if (result.error) {
+                const error = new Error(result.error.message);
+                error.code = result.error.code;
+                reject(error);
+            } else {
+                resolve(result.tempPath);
+            }
+        });
+        worker.once("error", reject);
+        worker.once("exit", (code) => {
+            // Only reached first when the worker died without reporting back.
+            reject(new Error(`Workbook writer exited with code ${code}.`));
+        });
+    });
+}
+
+// Rename a rebuilt workbook over the live one. Callers hold the write lock,
+// so no other server or restore replaces the workbook at the same moment.
+function installWorkbook(tempPath) {
+    try {
+        fs.renameSync(tempPath, FILE_PATH);
+    } catch (error) {
+        // Windows refuses to replace a file another program holds open.
+        if (["EBUSY", "EPERM", "EACCES"].includes(error.code)) {
+            throw createWorkbookLockedError(
+                "The workbook is in use by another program. Try again shortly.",
+            );
+        }
+        throw error;
+    }
+}
+
+// Run a read-modify-write task under the file lock, one task at a time.
+function withWorkbookLock(task) {
+    ensureDirectoryExists(FILE_PATH);
+    acquireWorkbookLock(LOCK_FILE_PATH);
+    try {
+        return task();
+    } finally {
+        releaseWorkbookLock(LOCK_FILE_PATH);
+    }
+}
+
+function enqueueWorkbookWrite(task) {
+    const result = writeQueue.then(() => withWorkbookLock(task));
+    // Keep the queue moving even when a write fails.
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+function sendWorkbookLocked(res, error) {
+    res.set("Retry-After", String(LOCK_RETRY_AFTER_SECONDS));
+    return res.status(423).json({
+        error: error.message,
+        retryable: true,
+    });
+}
+
+// Guarantee the worksheet exists and has header row in place.
+function getOrCreateWorksheet(workbook, sheetName = SHEET_NAME) {
+    let worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+        worksheet = XLSX.utils.aoa_to_sheet([HEADERS]);
+        XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+        return worksheet;
+    }
+
+    if (!worksheet["!ref"]) {
+        XLSX.utils.sheet_add_aoa(worksheet, [HEADERS], { origin: "A1" });
+    } else {
+        const headerRow = XLSX.utils.sheet_to_json(worksheet, {
+            header: 1,
+            range: 0,
+        })[0];
+        // if (!headerRow || headerRow.length < HEADERS.lengthds) {
+        if (!headersMatch(HEADERS, headerRow)) {
+            XLSX.utils.sheet_add_aoa(worksheet, [HEADERS], { origin: "A1" });
+        }
+    }
+
+    return worksheet;
+}
+
+function getRowTimestamp(row) {
+    return getDateTimeTimestamp(row[4], row[5]);
+}
+
+// Newest capture time first, by the real instant where there is one so the
+// hour repeated when clocks go back sorts right. Entries are given in journal
+// order, so later saves win ties and entries without a readable date/time go
+// last.
+function sortEntriesNewestFirst(entries) {
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .sort((left, right) => {
+            const leftTime = left.entry.instant ?? left.entry.timestamp;
+            const rightTime = right.entry.instant ?? right.entry.timestamp;
+            if (leftTime !== null && rightTime !== null) {
+                return rightTime - leftTime || right.index - left.index;
+            }
+            if (leftTime !== null) {
+                return -1;
+            }
+            if (rightTime !== null) {
+                return 1;
+            }
+            return right.index - left.index;
+        })
+        .map(({ entry }) => entry);
+}
+
+// Convert a validated value to the text stored in the sheet.
+function toSheetValue(field, value) {
+    if (field === "chipType") {
+        return CHIP_TYPE_LABELS[value] || value;
+    }
+    return value;
+}
+
+function createEntryId() {
+    return crypto.randomUUID();
+}
+
+// Every value a list has ever held, so retired silos are still recognised.
+function getAllLists() {
+    const lists = {};
+    MASTER_DATA_LISTS.forEach((list) => {
+        lists[list] = getMasterData()[list].map((item) => item.value);
+    });
+    return lists;
+}
+
+// Rows saved before the chip columns kept the silo or supplier as the box
+// number; move it into its own column and record the chip type.
+function assignChipColumns(row, lists) {
+    const boxNumber = getTrimmedString(String(row[0]));
+    const chipType = inferChipType(
+        {
+            boxNumber,
+            silo: getTrimmedString(String(row[SILO_COLUMN])),
+            supplier: getTrimmedString(String(row[SUPPLIER_COLUMN])),
+        },
+        lists,
+    );
+
+    row[CHIP_TYPE_COLUMN] = CHIP_TYPE_LABELS[chipType];
+    if (chipType === "bulk" && !getTrimmedString(String(row[SILO_COLUMN]))) {
+        row[SILO_COLUMN] = boxNumber;
+        row[0] = "";
+    } else if (
+        chipType === "purchased" &&
+        !getTrimmedString(String(row[SUPPLIER_COLUMN]))
+    ) {
+        row[SUPPLIER_COLUMN] = boxNumber;
+        row[0] = "";
+    }
+}
+
+// Bring rows from older layouts up to the current columns: a permanent ID,
+// a status and the chip type split out of the box number.
+function migrateDataRows(rows) {
+    let lists = null;
+    return rows.map((row) => {
+        const padded = HEADERS.map((header, index) => row[index] ?? "");
+        if (!getTrimmedString(String(padded[ID_COLUMN]))) {
+            padded[ID_COLUMN] = createEntryId();
+        }
+        if (!getTrimmedString(String(padded[STATUS_COLUMN]))) {
+            padded[STATUS_COLUMN] = STATUS_ACTIVE;
+        }
+        if (!getTrimmedString(String(padded[CHIP_TYPE_COLUMN]))) {
+            lists = lists || getAllLists();
+            assignChipColumns(padded, lists);
+        }
+        return padded;
+    });
+}
+
+function entryToRow(entry) {
+    return ENTRY_FIELDS.map((field) => entry[field] ?? "");
+}
+
+// Put the date and time into a workbook row as Excel values, not text.
+function setDateCells(row, fields, record) {
+    if (record.timestamp === null || record.timestamp === undefined) {
+        return row;
+    }
+    row[fields.indexOf("date")] = createDateCell(record.timestamp);
+    row[fields.indexOf("time")] = createTimeCell(record.timestamp);
+    return row;
+}
+
+// Journal lines keep the sheet values; the timestamp is worked out on load.
+function createEntryRecord(entry) {
+    const values = {};
+    ENTRY_FIELDS.forEach((field) => {
+        values[field] = entry[field] ?? "";
+    });
+    return { type: "entry", entry: values };
+}
+
+function createAuditRecords(changes) {
+    const timestamp = new Date().toISOString();
+    return changes.map((change) => ({
+        type: "audit",
+        record: { timestamp, ...change },
+    }));
+}
+
+function createReceiptRecord(receipt) {
+    const values = {};
+    RECEIPT_FIELDS.forEach((field) => {
+        values[field] = receipt[field] ?? "";
+    });
+    return { type: "receipt", receipt: values };
+}
+
+// Records that must be applied together, kept on one journal line so a crash
+// mid-write leaves all of them or none.
+function createBatchRecord(records) {
+    return { type: "batch", records };
+}
+
+// Apply one journal line; a later snapshot of an entry replaces the earlier.
+function applyJournalRecord(record) {
+    if (record.type === "batch") {
+        record.records.forEach(applyJournalRecord);
+        return;
+    }
+    if (record.type === "audit") {
+        journal.audit.push(record.record);
+        return;
+    }
+    if (record.type === "receipt") {
+        applyReceiptRecord(record.receipt);
+        return;
+    }
+    if (record.type !== "entry") {
+        return;
+    }
+
+    const entry = rowToEntry(entryToRow(record.entry));
+    const previous = journal.entries.get(entry.id);
+    if (previous) {
+        journal.byBox
+            .get(normalizeHeaderValue(previous.boxNumber))
+            ?.delete(entry.id);
+    }
+
+    journal.entries.set(entry.id, entry);
+    if (entry.submissionId) {
+        journal.bySubmission.set(entry.submissionId, entry.id);
+    }
+    const boxKey = normalizeHeaderValue(entry.boxNumber);
+    if (boxKey) {
+        if (!journal.byBox.has(boxKey)) {
+            journal.byBox.set(boxKey, new Set());
+        }
+        journal.byBox.get(boxKey).add(entry.id);
+    }
+}
+
+function applyReceiptRecord(values) {
+    const receipt = {};
+    RECEIPT_FIELDS.forEach((field) => {
+        receipt[field] = getTrimmedString(String(values[field] ?? ""));
+    });
+    receipt.timestamp = getDateTimeTimestamp(receipt.date, receipt.time);
+
+    journal.receipts.set(receipt.id, receipt);
+    if (receipt.submissionId) {
+        journal.receiptsBySubmission.set(receipt.submissionId, receipt.id);
+    }
+    const boxKey = normalizeHeaderValue(receipt.boxNumber);
+    if (!journal.receiptsByBox.has(boxKey)) {
+        journal.receiptsByBox.set(boxKey, new Set());
+    }
+    journal.receiptsByBox.get(boxKey).add(receipt.id);
+}
+
+function resetJournal() {
+    journal.offset = 0;
+    journal.entries.clear();
+    journal.bySubmission.clear();
+    journal.byBox.clear();
+    journal.audit = [];
+    journal.receipts.clear();
+    journal.receiptsBySubmission.clear();
+    journal.receiptsByBox.clear();
+}
+
+// Read whatever this or another server appended since the last sync. A line
+// is only applied once its newline is on disk, so a line still being written
+// is picked up by a later sync.
+function syncJournal() {
+    let stats = null;
+    try {
+        stats = fs.statSync(JOURNAL_PATH);
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+
+    // A restored or shorter file has been replaced, so read it from the start.
+    const size = stats ? stats.size : 0;
+    if (
+        size < journal.offset ||
+        (stats && journal.inode !== null && stats.ino !== journal.inode)
+    ) {
+        resetJournal();
+    }
+    journal.inode = stats ? stats.ino : null;
+    if (size === journal.offset) {
+        return;
+    }
+
+    const buffer = Buffer.alloc(size - journal.offset);
+    const fd = fs.openSync(JOURNAL_PATH, "r");
+    try {
+        fs.readSync(fd, buffer, 0, buffer.length, journal.offset);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const end = buffer.lastIndexOf("\n");
+    if (end === -1) {
+        return;
+    }
+    buffer
+        .toString("utf8", 0, end)
+        .split("\n")
+        .forEach((line) => {
+            if (!line.trim()) {
+                return;
+            }
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                console.warn(`Skipped an unreadable line in ${JOURNAL_PATH}.`);
+                return;
+            }
+            applyJournalRecord(record);
+        });
+    journal.offset += end + 1;
+}
+
+// Append records as one write and flush it to disk before responding.
+// Callers hold the write lock, so nobody else is appending meanwhile.
+function appendJournal(records) {
+    syncJournal();
+    ensureDirectoryExists(JOURNAL_PATH);
+    // A writer that crashed mid-line leaves bytes without a newline.
+    const torn =
+        fs.existsSync(JOURNAL_PATH) &&
+        fs.statSync(JOURNAL_PATH).size > journal.offset;
+    const lines = records.map((record) => JSON.stringify(record)).join("\n");
+
+    const fd = fs.openSync(JOURNAL_PATH, "a");
+    try {
+        fs.writeSync(fd, `${torn ? "\n" : ""}${lines}\n`);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    syncJournal();
+}
+
+// Every entry in journal order, caught up with other servers first.
+function getJournalEntries() {
+    syncJournal();
+    return Array.from(journal.entries.values());
+}
+
+// Active entries for the same box saved within the reuse window of the entry.
+function findRecentBoxConsumptions(entry) {
+    if (!BOX_REUSE_WINDOW_MINUTES || entry.timestamp === null) {
+        return [];
+    }
+
+    const windowMs = BOX_REUSE_WINDOW_MINUTES * 60 * 1000;
+    const ids = journal.byBox.get(normalizeHeaderValue(entry.boxNumber)) || [];
+    return Array.from(ids, (id) => journal.entries.get(id)).filter(
+        (candidate) =>
+            getEntryStatus(candidate) !== normalizeHeaderValue(STATUS_VOID) &&
+            candidate.timestamp !== null &&
+            Math.abs(entry.timestamp - candidate.timestamp) <= windowMs,
+    );
+}
+
+function isActiveRecord(record) {
+    return getEntryStatus(record) !== normalizeHeaderValue(STATUS_VOID);
+}
+
+// A box's active receipts, oldest first.
+function getBoxReceipts(boxKey) {
+    const ids = journal.receiptsByBox.get(boxKey) || [];
+    return sortEntriesNewestFirst(
+        Array.from(ids, (id) => journal.receipts.get(id)).filter(isActiveRecord),
+    ).reverse();
+}
+
+// A box's active box-chip consumptions, oldest first.
+function getBoxConsumptions(boxKey) {
+    const ids = journal.byBox.get(boxKey) || [];
+    return sortEntriesNewestFirst(
+        Array.from(ids, (id) => journal.entries.get(id)).filter(
+            (entry) =>
+                isActiveRecord(entry) &&
+                entry.chipType === CHIP_TYPE_LABELS.box,
+        ),
+    ).reverse();
+}
+
+// Box numbers come round again, so each receipt takes the consumptions from
+// its time up to the box's next receipt. Consumptions before the first
+// receipt are left unmatched.
+function matchBoxReceipts(receipts, consumptions) {
+    const matched = receipts.map((receipt) => ({ receipt, consumptions: [] }));
+    const unmatched = [];
+    consumptions.forEach((entry) => {
+        let index = receipts.length - 1;
+        // Entries without a readable time go with the latest receipt.
+        while (
+            index >= 0 &&
+            entry.timestamp !== null &&
+            receipts[index].timestamp > entry.timestamp
+        ) {
+            index -= 1;
+        }
+        if (index < 0) {
+            unmatched.push(entry);
+        } else {
+            matched[index].consumptions.push(entry);
+        }
+    });
+    return { matched, unmatched };
+}
+
+// The receipt a box is still open on: received and not yet consumed.
+function findOpenReceipt(boxKey) {
+    const { matched } = matchBoxReceipts(
+        getBoxReceipts(boxKey),
+        getBoxConsumptions(boxKey),
+    );
+    const latest = matched.at(-1);
+    return latest && latest.consumptions.length === 0 ? latest.receipt : null;
+}
+
+// Check a consumed box against the inventory: never received, already
+// consumed since it was received, or received as another product or
+// weight. Nothing is checked until the cool room starts recording receipts.
+function getInventoryWarnings(entry) {
+    if (journal.receipts.size === 0) {
+        return [];
+    }
+
+    const boxKey = normalizeHeaderValue(entry.boxNumber);
+    const { matched } = matchBoxReceipts(getBoxReceipts(boxKey), [
+        ...getBoxConsumptions(boxKey),
+        entry,
+    ]);
+    const match = matched.find(({ consumptions }) =>
+        consumptions.includes(entry),
+    );
+    if (!match) {
+        return [
+            {
+                code: "BOX_NOT_RECEIVED",
+                message: `Box ${entry.boxNumber} has no receipt in the inventory.`,
+            },
+        ];
+    }
+
+    const { receipt } = match;
+    const previous = match.consumptions.filter((other) => other !== entry);
+    const warnings = [];
+    if (previous.length > 0) {
+        const last = previous.at(-1);
+        warnings.push({
+            code: "BOX_ALREADY_CONSUMED",
+            message: `Box ${entry.boxNumber} was received on ${receipt.date} and already consumed on ${last.date} at ${last.time}.`,
+            id: last.id,
+        });
+    }
+    if (normalizeHeaderValue(receipt.product) !== normalizeHeaderValue(entry.product)) {
+        warnings.push({
+            code: "RECEIPT_PRODUCT_MISMATCH",
+            message: `Box ${entry.boxNumber} was received as ${receipt.product}.`,
+            receiptId: receipt.id,
+        });
+    }
+    const difference =
+        parseNetWeight(entry.netWeight) - parseNetWeight(receipt.netWeight);
+    if (Math.abs(difference) > RECEIPT_WEIGHT_TOLERANCE) {
+        warnings.push({
+            code: "RECEIPT_WEIGHT_MISMATCH",
+            message: `Box ${entry.boxNumber} was received at ${receipt.netWeight} lbs, not ${entry.netWeight} lbs.`,
+            receiptId: receipt.id,
+        });
+    }
+    return warnings;
+}
+
+// Sheets holding entries, in any layout: SHEET_NAME, the sheets the Summary
+// lists, and any other sheet with the entry header row.
+function getEntrySheetNames(workbook) {
+    const summary = workbook.Sheets[SUMMARY_SHEET_NAME];
+    const listed = summary
+        ? readDataRows(summary).map((row) => getTrimmedString(String(row[0])))
+        : [];
+
+    return workbook.SheetNames.filter((name) => {
+        if (name === SHEET_NAME || listed.includes(name)) {
+            return true;
+        }
+        const worksheet = workbook.Sheets[name];
+        const headerRow = worksheet
+            ? XLSX.utils.sheet_to_json(worksheet, { header: 1, range: 0 })[0]
+            : null;
+        return headersMatch(REQUIRED_HEADERS, headerRow);
+    });
+}
+
+// Seed a new journal from an existing workbook so history saved before the
+// journal carries over. Rows are migrated and stored oldest first.
+function importWorkbook(filePath) {
+    if (fs.existsSync(JOURNAL_PATH) || !fs.existsSync(filePath)) {
+        return;
+    }
+
+    const workbook = loadWorkbook(filePath);
+    // Sheets list entries newest first; the journal keeps them oldest first.
+    const rows = migrateDataRows(
+        getEntrySheetNames(workbook).flatMap((name) =>
+            readDataRows(getOrCreateWorksheet(workbook, name)).reverse(),
+        ),
+    );
+    const auditSheet = workbook.Sheets[AUDIT_SHEET_NAME];
+    const auditRows = auditSheet ? readDataRows(auditSheet) : [];
+    const receiptsSheet = workbook.Sheets[RECEIPTS_SHEET_NAME];
+    const receiptRows = receiptsSheet ? readDataRows(receiptsSheet) : [];
+    if (rows.length === 0 && auditRows.length === 0 && receiptRows.length === 0) {
+        return;
+    }
+
+    appendJournal([
+        // Entries from several sheets are put back in time order.
+        ...sortEntriesNewestFirst(rows.map(rowToEntry))
+            .reverse()
+            .map(createEntryRecord),
+        ...auditRows.map((row) => {
+            const record = {};
+            AUDIT_FIELDS.forEach((field, index) => {
+                record[field] = getTrimmedString(String(row[index] ?? ""));
+            });
+            return { type: "audit", record };
+        }),
+        ...receiptRows.reverse().map((row) => {
+            const receipt = {};
+            RECEIPT_FIELDS.forEach((field, index) => {
+                receipt[field] = row[index];
+            });
+            return createReceiptRecord(receipt);
+        }),
+    ]);
+    console.log(`Imported ${rows.length} rows from ${filePath} into ${JOURNAL_PATH}.`);
+}
+
+// Make a month or list value usable as a sheet name, without clashing with
+// the Summary or Audit sheets.
+function toSheetName(value) {
+    let name = value
+        .replace(/[\\/?*[\]:]/g, "-")
+        .replace(/^'+|'+$/g, "")
+        .slice(0, MAX_SHEET_NAME_LENGTH)
+        .trim();
+    if (
+        [SUMMARY_SHEET_NAME, RECEIPTS_SHEET_NAME, AUDIT_SHEET_NAME].some(
+            (reserved) => reserved.toLowerCase() === name.toLowerCase(),
+        )
+    ) {
+        name = `${name} entries`;
+    }
+    return name || "(blank)";
+}
+
+// The sheet an entry is written to under SHEET_PARTITION.
+function getEntrySheetName(entry) {
+    switch (SHEET_PARTITION) {
+        case "month":
+            return entry.timestamp === null
+                ? "Undated"
+                : formatDayKey(entry.timestamp).slice(0, 7);
+        case "destination":
+        case "product":
+            return toSheetName(entry[SHEET_PARTITION]);
+        default:
+            return SHEET_NAME;
+    }
+}
+
+// Active entries and pounds per entry sheet, plus a total row.
+function buildSummaryRows(partitions) {
+    const total = ["Total", 0, 0, 0];
+    const rows = Array.from(partitions, ([name, entries]) => {
+        const active = entries.filter(
+            (entry) =>
+                getEntryStatus(entry) !== normalizeHeaderValue(STATUS_VOID),
+        );
+        const weight = roundWeight(
+            active.reduce((sum, entry) => sum + parseNetWeight(entry.netWeight), 0),
+        );
+        total[1] += active.length;
+        total[2] += weight;
+        total[3] += entries.length - active.length;
+        return [name, active.length, weight, entries.length - active.length];
+    });
+    total[2] = roundWeight(total[2]);
+    return [...rows, total];
+}
+
+// The rebuilt sheets: the Summary, the entry sheets with entries newest
+// first, then the receipts and the audit trail if any.
+function getWorkbookSheets() {
+    const partitions = new Map();
+    if (SHEET_PARTITION === "single") {
+        partitions.set(SHEET_NAME, []);
+    }
+    sortEntriesNewestFirst(Array.from(journal.entries.values())).forEach(
+        (entry) => {
+            const name = getEntrySheetName(entry);
+            if (!partitions.has(name)) {
+                partitions.set(name, []);
+            }
+            partitions.get(name).push(entry);
+        },
+    );
+    // Months come newest first like their entries; list values A to Z.
+    const names = Array.from(partitions.keys());
+    if (SHEET_PARTITION === "destination" || SHEET_PARTITION === "product") {
+        names.sort((left, right) =>
+            left.localeCompare(right, "en-US", { numeric: true }),
+        );
+    }
+    const sorted = new Map(names.map((name) => [name, partitions.get(name)]));
+
+    const sheets = [
+        {
+            name: SUMMARY_SHEET_NAME,
+            headers: SUMMARY_HEADERS,
+            rows: buildSummaryRows(sorted),
+        },
+        ...names.map((name) => ({
+            name,
+            headers: HEADERS,
+            rows: sorted
+                .get(name)
+                .map((entry) => setDateCells(entryToRow(entry), ENTRY_FIELDS, entry)),
+        })),
+    ];
+    if (journal.receipts.size > 0) {
+        sheets.push({
+            name: RECEIPTS_SHEET_NAME,
+            headers: RECEIPT_HEADERS,
+            rows: sortEntriesNewestFirst(
+                Array.from(journal.receipts.values()),
+            ).map((receipt) =>
+                setDateCells(
+                    RECEIPT_FIELDS.map((field) => receipt[field] ?? ""),
+                    RECEIPT_FIELDS,
+                    receipt,
+                ),
+            ),
+        });
+    }
+    if (journal.audit.length > 0) {
+        sheets.push({
+            name: AUDIT_SHEET_NAME,
+            headers: AUDIT_HEADERS,
+            rows: journal.audit.map((record) =>
+                AUDIT_FIELDS.map((field) => record[field] ?? ""),
+            ),
+        });
+    }
+    return sheets;
+}
+
+// Changes are batched: the first one starts the timer and later ones ride
+// along, so the workbook trails the journal by at most the delay.
+function scheduleWorkbookRebuild(delay = WORKBOOK_REBUILD_DELAY_MS) {
+    if (rebuildTimer) {
+        return;
+    }
+    rebuildTimer = setTimeout(() => {
+        rebuildTimer = null;
+        rebuildWorkbook();
+    }, delay);
+}
+
+// Write the workbook from a journal snapshot. A workbook open in Excel or
+// held by another server is retried on the next timer.
+async function rebuildWorkbook() {
+    if (rebuildRunning) {
+        scheduleWorkbookRebuild();
+        return;
+    }
+
+    rebuildRunning = true;
+    try {
+        if (isOpenInExcel(FILE_PATH)) {
+            throw createWorkbookLockedError("The workbook is open in Excel.");
+        }
+
+        // Take the rows under the lock so they match a whole journal.
+        const snapshot = await enqueueWorkbookWrite(() => {
+            syncJournal();
+            return { offset: journal.offset, sheets: getWorkbookSheets() };
+        });
+        const tempPath = await runWorkbookWriter(snapshot.sheets);
+        const current = await enqueueWorkbookWrite(() => {
+            installWorkbook(tempPath);
+            syncJournal();
+            return journal.offset === snapshot.offset;
+        }).finally(() => fs.rmSync(tempPath, { force: true }));
+
+        // Entries saved while the worker was writing go in the next rebuild.
+        if (!current) {
+            scheduleWorkbookRebuild();
+        }
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            console.warn(`Workbook rebuild postponed: ${error.message}`);
+            scheduleWorkbookRebuild();
+        } else {
+            console.error(`Failed to rebuild ${FILE_PATH} from ${JOURNAL_PATH}.`, error);
+        }
+    } finally {
+        rebuildRunning = false;
+    }
+}
+
+// Check the workbook can be parsed and still has its entry sheets: SHEET_NAME
+// with its header row, or a Summary and the sheets it lists. Returns the
+// problem, or an empty string for a healthy workbook.
+function checkWorkbook(filePath) {
+    const headerRows = {};
+    try {
+        const workbook = XLSX.readFile(filePath, { sheetRows: 1 });
+        workbook.SheetNames.forEach((name) => {
+            headerRows[name] = XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+                header: 1,
+            })[0];
+        });
+    } catch (error) {
+        return `it could not be read (${error.message})`;
+    }
+
+    if (
+        Object.hasOwn(headerRows, SHEET_NAME) &&
+        !headersMatch(REQUIRED_HEADERS, headerRows[SHEET_NAME])
+    ) {
+        return `${SHEET_NAME} has lost its header row`;
+    }
+    const hasEntrySheet = Object.values(headerRows).some((headerRow) =>
+        headersMatch(REQUIRED_HEADERS, headerRow),
+    );
+    return hasEntrySheet || Object.hasOwn(headerRows, SUMMARY_SHEET_NAME)
+        ? ""
+        : "it has no sheet of entries";
+}
+
+function createBackupId(date) {
+    return date.toISOString().replace(/[-:.]/g, "");
+}
+
+function readBackupManifest(id) {
+    try {
+        return JSON.parse(
+            fs.readFileSync(path.join(BACKUP_DIR, id, BACKUP_MANIFEST), "utf8"),
+        );
+    } catch (error) {
+        // Folders without a manifest are backups that never finished.
+        return null;
+    }
+}
+
+// Backups newest first.
+function listBackups() {
+    if (!fs.existsSync(BACKUP_DIR)) {
+        return [];
+    }
+    return fs
+        .readdirSync(BACKUP_DIR)
+        .filter((name) => BACKUP_ID_PATTERN.test(name))
+        .sort()
+        .reverse()
+        .map(readBackupManifest)
+        .filter(Boolean);
+}
+
+// Copy the journal and workbook into a new backup folder. The manifest is
+// written last, so a half-copied backup is never listed. Callers hold the
+// write lock so the journal copy is a whole one.
+function createBackup(reason) {
+    const sources = [
+        { kind: "journal", filePath: JOURNAL_PATH },
+        { kind: "workbook", filePath: FILE_PATH },
+    ].filter(({ filePath }) => fs.existsSync(filePath));
+    if (sources.length === 0) {
+        return null;
+    }
+
+    const createdAt = new Date();
+    const id = createBackupId(createdAt);
+    const directory = path.join(BACKUP_DIR, id);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const files = sources.map(({ kind, filePath }) => {
+        const name = path.basename(filePath);
+        fs.copyFileSync(filePath, path.join(directory, name));
+        return { kind, name, size: fs.statSync(filePath).size };
+    });
+    const backup = { id, createdAt: createdAt.toISOString(), reason, files };
+    fs.writeFileSync(
+        path.join(directory, BACKUP_MANIFEST),
+        JSON.stringify(backup, null, 4),
+    );
+    console.log(`Backed up ${FILE_PATH} to ${directory} (${reason}).`);
+    return backup;
+}
+
+// Take a backup only when something changed since the latest one.
+function createBackupIfChanged(reason) {
+    const latest = listBackups()[0];
+    const changed =
+        !latest ||
+        [JOURNAL_PATH, FILE_PATH].some(
+            (filePath) =>
+                fs.existsSync(filePath) &&
+                fs.statSync(filePath).mtimeMs > Date.parse(latest.createdAt),
+        );
+    return changed ? createBackup(reason) : null;
+}
+
+function pruneBackups() {
+    listBackups()
+        .slice(BACKUP_RETENTION)
+        .forEach((backup) => {
+            fs.rmSync(path.join(BACKUP_DIR, backup.id), {
+                recursive: true,
+                force: true,
+            });
+        });
+}
+
+// Copy a file over the target through a temp file, so a failed copy never
+// leaves the target half written.
+function replaceFile(source, target) {
+    const tempPath = path.join(
+        path.dirname(target),
+        `.${path.basename(target)}.${process.pid}.restore`,
+    );
+    try {
+        fs.copyFileSync(source, tempPath);
+        fs.renameSync(tempPath, target);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        if (["EBUSY", "EPERM", "EACCES"].includes(error.code)) {
+            throw createWorkbookLockedError(
+                "The workbook is in use by another program. Try again shortly.",
+            );
+        }
+        throw error;
+    }
+}
+
+// Put a backup's journal and workbook back in place and reload the journal.
+// A backup without a journal is imported from its workbook. Callers hold the
+// write lock.
+function restoreBackup(backup) {
+    if (isOpenInExcel(FILE_PATH)) {
+        throw createWorkbookLockedError(
+            "The workbook is open in Excel. Close it and try again.",
+        );
+    }
+
+    const directory = path.join(BACKUP_DIR, backup.id);
+    const journalFile = backup.files.find((file) => file.kind === "journal");
+    const workbookFile = backup.files.find((file) => file.kind === "workbook");
+    const workbookPath = workbookFile && path.join(directory, workbookFile.name);
+    // With a journal, a damaged backup workbook is simply rebuilt instead.
+    if (workbookPath && !checkWorkbook(workbookPath)) {
+        replaceFile(workbookPath, FILE_PATH);
+    }
+    if (journalFile) {
+        replaceFile(path.join(directory, journalFile.name), JOURNAL_PATH);
+    } else {
+        fs.rmSync(JOURNAL_PATH, { force: true });
+    }
+
+    resetJournal();
+    importWorkbook(FILE_PATH);
+    syncJournal();
+    scheduleWorkbookRebuild(0);
+    console.log(`Restored backup ${backup.id} into ${FILE_PATH}.`);
+}
+
+// A backup is good when it has a journal or a workbook that passes the check.
+function findLatestGoodBackup() {
+    return listBackups().find((backup) =>
+        backup.files.some(
+            (file) =>
+                file.kind === "journal" ||
+                !checkWorkbook(path.join(BACKUP_DIR, backup.id, file.name)),
+        ),
+    );
+}
+
+// Move a damaged workbook aside, and fall back to the latest good backup
+// when there is no journal to rebuild it from.
+function recoverWorkbook(problem) {
+    console.error(`The workbook at ${FILE_PATH} is damaged: ${problem}.`);
+    if (fs.existsSync(FILE_PATH)) {
+        const brokenPath = `${FILE_PATH}.broken-${createBackupId(new Date())}`;
+        fs.renameSync(FILE_PATH, brokenPath);
+        console.error(`Moved the damaged workbook to ${brokenPath}.`);
+    }
+    if (fs.existsSync(JOURNAL_PATH)) {
+        return;
+    }
+
+    const backup = findLatestGoodBackup();
+    if (!backup) {
+        console.error(`No good backup found in ${BACKUP_DIR}.`);
+        return;
+    }
+    restoreBackup(backup);
+}
+
+// Check the workbook, import it into a new journal, then report whether the
+// workbook is missing or older than the journal and needs a rebuild.
+function initializeJournal() {
+    if (fs.existsSync(FILE_PATH)) {
+        const problem = checkWorkbook(FILE_PATH);
+        if (problem) {
+            recoverWorkbook(problem);
+        }
+    } else if (!fs.existsSync(JOURNAL_PATH)) {
+        const backup = findLatestGoodBackup();
+        if (backup) {
+            console.error(`${FILE_PATH} and its journal are missing.`);
+            restoreBackup(backup);
+        }
+    }
+
+    importWorkbook(FILE_PATH);
+    syncJournal();
+    createBackupIfChanged("startup");
+    pruneBackups();
+    if (!fs.existsSync(JOURNAL_PATH)) {
+        return false;
+    }
+    return (
+        !fs.existsSync(FILE_PATH) ||
+        fs.statSync(FILE_PATH).mtimeMs < fs.statSync(JOURNAL_PATH).mtimeMs ||
+        !hasSheetLayout(FILE_PATH)
+    );
+}
+
+// Whether the workbook was last written with this SHEET_PARTITION, going by
+// the Summary's first column heading, and with every entry column, so sheets
+// from before the Captured At column are rebuilt with real date cells.
+function hasSheetLayout(filePath) {
+    const workbook = XLSX.readFile(filePath, { sheetRows: 1 });
+    const getHeaderRow = (name) =>
+        workbook.Sheets[name]
+            ? XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 })[0]
+            : null;
+    return (
+        headersMatch(SUMMARY_HEADERS, getHeaderRow(SUMMARY_SHEET_NAME)) &&
+        workbook.SheetNames.map(getHeaderRow)
+            .filter((headerRow) => headersMatch(REQUIRED_HEADERS, headerRow))
+            .every((headerRow) => headersMatch(HEADERS, headerRow))
+    );
+}
+
+// Read every data row below the header as string cells.
+function readDataRows(worksheet) {
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
+        header: 1,
+        defval: "",
+        blankrows: false,
+        raw: false,
+    });
+    return rows.slice(1);
+}
+
+// timestamp is the plant's wall clock on the UTC scale, for days and shifts;
+// instant is the real time of capture, for ordering.
+function rowToEntry(row) {
+    const entry = {};
+    ENTRY_FIELDS.forEach((field, index) => {
+        entry[field] = getTrimmedString(String(row[index] ?? ""));
+    });
+
+    const captured = parseIsoTimestamp(entry.capturedAt);
+    if (captured) {
+        entry.timestamp = captured.wallTimestamp;
+        entry.instant = captured.instant;
+        return entry;
+    }
+
+    // Rows saved before the Captured At column only have the plant's date
+    // and time to the minute, read here in its time zone.
+    entry.timestamp = getRowTimestamp(row);
+    entry.instant = null;
+    if (entry.timestamp !== null) {
+        const instant = wallTimestampToDate(entry.timestamp, PLANT_TIME_ZONE);
+        entry.instant = instant.getTime();
+        entry.capturedAt = formatIsoTimestamp(instant, PLANT_TIME_ZONE);
+    }
+    return entry;
+}
+
+// Parse a YYYY-MM-DD query value into the same wall-clock scale as timestamps.
+function parseQueryDate(value) {
+    const match = getTrimmedString(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day] = match;
+    return Date.UTC(Number(year), Number(month) - 1, Number(day));
+}
+
+function parsePositiveInteger(value, fallback) {
+    const parsed = Number.parseInt(getTrimmedString(value), 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Normalize the filter, sort and paging options for the entries endpoint.
+function parseEntriesQuery(query) {
+    const from = parseQueryDate(query?.from);
+    const to = parseQueryDate(query?.to);
+    const sortBy = ENTRY_FIELDS.includes(query?.sortBy) ? query.sortBy : "date";
+
+    return {
+        from,
+        // Make the end date inclusive of the whole day.
+        to: to === null ? null : to + DAY_MS,
+        product: normalizeHeaderValue(query?.product),
+        destination: normalizeHeaderValue(query?.destination),
+        operatorName: normalizeHeaderValue(query?.operatorName),
+        boxNumber: normalizeHeaderValue(query?.boxNumber),
+        status: normalizeHeaderValue(query?.status),
+        chipType: normalizeHeaderValue(query?.chipType),
+        sortBy: sortBy === "time" ? "date" : sortBy,
+        order: query?.order === "asc" ? "asc" : "desc",
+        page: parsePositiveInteger(query?.page, 1),
+        pageSize: Math.min(
+            parsePositiveInteger(query?.pageSize, DEFAULT_PAGE_SIZE),
+            MAX_PAGE_SIZE,
+        ),
+    };
+}
+
+function entryMatchesFilters(entry, filters) {
+    if (filters.from !== null || filters.to !== null) {
+        if (entry.timestamp === null) {
+            return false;
+        }
+        if (filters.from !== null && entry.timestamp < filters.from) {
+            return false;
+        }
+        if (filters.to !== null && entry.timestamp >= filters.to) {
+            return false;
+        }
+    }
+
+    // Product and destination come from fixed lists, so match them exactly.
+    if (
+        filters.product &&
+        normalizeHeaderValue(entry.product) !== filters.product
+    ) {
+        return false;
+    }
+    if (
+        filters.destination &&
+        normalizeHeaderValue(entry.destination) !== filters.destination
+    ) {
+        return false;
+    }
+    if (
+        filters.operatorName &&
+        !normalizeHeaderValue(entry.operatorName).includes(filters.operatorName)
+    ) {
+        return false;
+    }
+    if (
+        filters.boxNumber &&
+        !normalizeHeaderValue(entry.boxNumber).includes(filters.boxNumber)
+    ) {
+        return false;
+    }
+    if (filters.status && getEntryStatus(entry) !== filters.status) {
+        return false;
+    }
+    if (
+        filters.chipType &&
+        normalizeHeaderValue(entry.chipType) !== filters.chipType
+    ) {
+        return false;
+    }
+
+    return true;
+}
+
+// Rows without a status predate the column and count as active.
+function getEntryStatus(entry) {
+    return normalizeHeaderValue(entry.status) || normalizeHeaderValue(STATUS_ACTIVE);
+}
+
+function compareEntryValues(left, right, field) {
+    if (field === "netWeight") {
+        const leftValue = Number.parseFloat(left.netWeight);
+        const rightValue = Number.parseFloat(right.netWeight);
+        return (
+            (Number.isFinite(leftValue) ? leftValue : -Infinity) -
+            (Number.isFinite(rightValue) ? rightValue : -Infinity)
+        );
+    }
+
+    return left[field].localeCompare(right[field], "en-US", {
+        numeric: true,
+        sensitivity: "base",
+    });
+}
+
+// Order entries for the requested column; dates reuse the workbook ordering.
+function sortEntries(entries, sortBy, order) {
+    if (sortBy === "date") {
+        const sorted = sortEntriesNewestFirst(entries);
+        return order === "asc" ? sorted.reverse() : sorted;
+    }
+
+    const direction = order === "asc" ? 1 : -1;
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .sort(
+            (left, right) =>
+                direction *
+                    compareEntryValues(left.entry, right.entry, sortBy) ||
+                left.index - right.index,
+        )
+        .map(({ entry }) => entry);
+}
+
+// Return the journal entries matching the history filters, sorted.
+function readFilteredEntries(options) {
+    const entries = getJournalEntries().filter((entry) =>
+        entryMatchesFilters(entry, options),
+    );
+
+    return sortEntries(entries, options.sortBy, options.order);
+}
+
+app.get("/entries", requireSupervisor, (req, res) => {
+    const options = parseEntriesQuery(req.query);
+
+    try {
+        const sorted = readFilteredEntries(options);
+        const total = sorted.length;
+        const totalPages = Math.max(1, Math.ceil(total / options.pageSize));
+        const start = (options.page - 1) * options.pageSize;
+
+        return res.json({
+            entries: sorted.slice(start, start + options.pageSize),
+            total,
+            page: options.page,
+            pageSize: options.pageSize,
+            totalPages,
+        });
+    } catch (error) {
+        console.error(`Failed to read entries from ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to read entries.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+function formatClockTime(minutes) {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+    return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function parseClockTime(value) {
+    const match = getTrimmedString(value).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes < 24 * 60 ? minutes : null;
+}
+
+// Parse "Day=06:00-18:00;Night=18:00-06:00" into minute-of-day windows.
+function parseShiftWindows(value) {
+    const shifts = getTrimmedString(value)
+        .split(";")
+        .map((part) => {
+            const match = part.trim().match(/^([^=]+)=([^-]+)-(.+)$/);
+            if (!match) {
+                return null;
+            }
+
+            const start = parseClockTime(match[2]);
+            const end = parseClockTime(match[3]);
+            if (start === null || end === null || start === end) {
+                return null;
+            }
+            return { name: match[1].trim(), start, end };
+        });
+
+    return shifts.length > 0 && shifts.every(Boolean) ? shifts : null;
+}
+
+// The SHIFT_WINDOWS shifts, for plants without a shift calendar file.
+function getWindowsCalendar() {
+    return {
+        shifts:
+            parseShiftWindows(process.env.SHIFT_WINDOWS) ||
+            parseShiftWindows(DEFAULT_SHIFT_WINDOWS),
+        crews: [],
+        rotation: null,
+    };
+}
+
+// Read the shift calendar file. Throws when it doesn't describe one.
+function readShiftCalendarFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return getWindowsCalendar();
+    }
+
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const shifts = (Array.isArray(stored.shifts) ? stored.shifts : []).map(
+        (shift) => {
+            const name = getTrimmedString(shift?.name);
+            const start = parseClockTime(shift?.start);
+            const end = parseClockTime(shift?.end);
+            if (!name || start === null || end === null || start === end) {
+                throw new Error(
+                    "Each shift needs a name and different start and end times (HH:MM).",
+                );
+            }
+            return { name, start, end };
+        },
+    );
+    if (shifts.length === 0) {
+        throw new Error("It lists no shifts.");
+    }
+
+    const crews = (Array.isArray(stored.crews) ? stored.crews : [])
+        .map((crew) => getTrimmedString(crew))
+        .filter(Boolean);
+    if (!stored.rotation) {
+        return { shifts, crews, rotation: null };
+    }
+
+    const startsOn = parseQueryDate(stored.rotation.startsOn);
+    const { days } = stored.rotation;
+    if (startsOn === null || !Array.isArray(days) || days.length === 0) {
+        throw new Error(
+            "The rotation needs a startsOn date (YYYY-MM-DD) and a list of days.",
+        );
+    }
+    days.forEach((day, index) => {
+        Object.entries(day || {}).forEach(([name, crew]) => {
+            if (
+                !shifts.some((shift) => shift.name === name) ||
+                (crews.length > 0 && !crews.includes(crew))
+            ) {
+                throw new Error(
+                    `Rotation day ${index + 1} names an unknown shift or crew.`,
+                );
+            }
+        });
+    });
+    return { shifts, crews, rotation: { startsOn, days } };
+}
+
+// Return the shift calendar, re-reading the file if it changed.
+function getShiftCalendar() {
+    const mtimeMs = fs.existsSync(SHIFT_CALENDAR_PATH)
+        ? fs.statSync(SHIFT_CALENDAR_PATH).mtimeMs
+        : 0;
+    if (!shiftCalendarCache || shiftCalendarCache.mtimeMs !== mtimeMs) {
+        try {
+            shiftCalendarCache = {
+                mtimeMs,
+                calendar: readShiftCalendarFile(SHIFT_CALENDAR_PATH),
+            };
+        } catch (error) {
+            console.error(
+                `Ignoring the shift calendar at ${SHIFT_CALENDAR_PATH}: ${error.message}`,
+            );
+            shiftCalendarCache = {
+                mtimeMs,
+                calendar: shiftCalendarCache?.calendar || getWindowsCalendar(),
+            };
+        }
+    }
+    return shiftCalendarCache.calendar;
+}
+
+// The crew the rotation puts on a shift, going by the day the shift started.
+function getShiftCrew(period, calendar) {
+    const { rotation } = calendar;
+    if (!rotation) {
+        return "";
+    }
+    const length = rotation.days.length;
+    const day = Math.floor((period.startsAt - rotation.startsOn) / DAY_MS);
+    return rotation.days[((day % length) + length) % length]?.[period.name] || "";
+}
+
+// The shift and crew every new entry is stamped with.
+function getShiftStamp(timestamp) {
+    const calendar = getShiftCalendar();
+    const period = findShiftPeriod(timestamp, calendar.shifts);
+    return period
+        ? { shift: period.name, crew: getShiftCrew(period, calendar) }
+        : { shift: "", crew: "" };
+}
+
+function getShiftName(timestamp, shifts) {
+    const date = new Date(timestamp);
+    const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+    const shift = shifts.find(({ start, end }) =>
+        start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end,
+    );
+    return shift ? shift.name : "Unassigned";
+}
+
+function formatDayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday and are labelled by that date.
+function formatWeekKey(timestamp) {
+    const dayOfWeek = (new Date(timestamp).getUTCDay() + 6) % 7;
+    return formatDayKey(timestamp - dayOfWeek * DAY_MS);
+}
+
+function getDimensionValue(entry, dimension, getShift) {
+    switch (dimension) {
+        case "operator":
+            return entry.operatorName;
+        case "shift":
+            return getShift(entry);
+        case "day":
+            return formatDayKey(entry.timestamp);
+        case "week":
+            return formatWeekKey(entry.timestamp);
+        case "sheet":
+            return getEntrySheetName(entry);
+        default:
+            return entry[dimension];
+    }
+}
+
+function parseNetWeight(value) {
+    const weight = Number.parseFloat(value);
+    return Number.isFinite(weight) ? weight : 0;
+}
+
+function roundWeight(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Sum net weight and box count per combination of the grouping dimensions.
+// getShift gives an entry's shift.
+function buildConsumptionReport(entries, groupBy, getShift) {
+    const groups = new Map();
+    const byDimension = {};
+    groupBy.forEach((dimension) => {
+        byDimension[dimension] = new Map();
+    });
+    const totals = { totalWeight: 0, count: 0 };
+
+    function addTo(map, mapKey, key, weight) {
+        const group = map.get(mapKey) || { ...key, totalWeight: 0, count: 0 };
+        group.totalWeight += weight;
+        group.count += 1;
+        map.set(mapKey, group);
+    }
+
+    entries.forEach((entry) => {
+        const weight = parseNetWeight(entry.netWeight);
+        const key = {};
+        groupBy.forEach((dimension) => {
+            key[dimension] =
+                getDimensionValue(entry, dimension, getShift) || "(blank)";
+            addTo(
+                byDimension[dimension],
+                key[dimension],
+                { value: key[dimension] },
+                weight,
+            );
+        });
+        addTo(groups, JSON.stringify(key), key, weight);
+        totals.totalWeight += weight;
+        totals.count += 1;
+    });
+
+    const finish = (map) =>
+        Array.from(map.values())
+            .map((group) => ({
+                ...group,
+                totalWeight: roundWeight(group.totalWeight),
+            }))
+            .sort((left, right) => right.totalWeight - left.totalWeight);
+
+    return {
+        groups: finish(groups),
+        byDimension: Object.fromEntries(
+            groupBy.map((dimension) => [
+                dimension,
+                finish(byDimension[dimension]),
+            ]),
+        ),
+        totals: { ...totals, totalWeight: roundWeight(totals.totalWeight) },
+    };
+}
+
+app.get("/reports/consumption", requireSupervisor, (req, res) => {
+    const filters = parseEntriesQuery(req.query);
+    const groupBy = getTrimmedString(req.query.groupBy || "product")
+        .split(",")
+        .map((dimension) => dimension.trim())
+        .filter(Boolean);
+    const unknown = groupBy.filter(
+        (dimension) => !REPORT_DIMENSIONS.includes(dimension),
+    );
+    if (groupBy.length === 0 || unknown.length > 0) {
+        return res.status(400).json({
+            error: `groupBy must use ${REPORT_DIMENSIONS.join(", ")}.`,
+            fields: ["groupBy"],
+        });
+    }
+
+    // Entries keep the shift they were stamped with unless the report tries
+    // other windows; older entries are placed by the calendar's windows.
+    const shifts = req.query.shifts
+        ? parseShiftWindows(req.query.shifts)
+        : getShiftCalendar().shifts;
+    if (!shifts) {
+        return res.status(400).json({
+            error: "Shift windows must look like Day=06:00-18:00;Night=18:00-06:00.",
+            fields: ["shifts"],
+        });
+    }
+
+    try {
+        // Voided rows and rows without a readable date/time are left out.
+        const entries = getJournalEntries().filter(
+            (entry) =>
+                entry.timestamp !== null &&
+                getEntryStatus(entry) !== normalizeHeaderValue(STATUS_VOID) &&
+                entryMatchesFilters(entry, filters),
+        );
+
+        return res.json({
+            from: getTrimmedString(req.query.from),
+            to: getTrimmedString(req.query.to),
+            groupBy,
+            shifts: shifts.map(({ name, start, end }) => ({
+                name,
+                start: formatClockTime(start),
+                end: formatClockTime(end),
+            })),
+            ...buildConsumptionReport(entries, groupBy, (entry) =>
+                (!req.query.shifts && entry.shift) ||
+                getShiftName(entry.timestamp, shifts),
+            ),
+        });
+    } catch (error) {
+        console.error(`Failed to build report from ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to build report.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+// The plant's wall-clock time on the same scale as entry timestamps.
+function getLocalTimestamp(date = new Date()) {
+    return getWallTimestamp(date, PLANT_TIME_ZONE);
+}
+
+// The shift running at timestamp with its start and end, or null when no
+// shift window covers that time.
+function findShiftPeriod(timestamp, shifts) {
+    const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS;
+    const minutes = (timestamp - dayStart) / (60 * 1000);
+    const at = (dayOffset, minute) =>
+        dayStart + dayOffset * DAY_MS + minute * 60 * 1000;
+
+    for (const { name, start, end } of shifts) {
+        if (start < end && minutes >= start && minutes < end) {
+            return { name, startsAt: at(0, start), endsAt: at(0, end) };
+        }
+        // Overnight shifts started either today or yesterday.
+        if (start > end && minutes >= start) {
+            return { name, startsAt: at(0, start), endsAt: at(1, end) };
+        }
+        if (start > end && minutes < end) {
+            return { name, startsAt: at(-1, start), endsAt: at(0, end) };
+        }
+    }
+    return null;
+}
+
+// As findShiftPeriod, with the whole day standing in for a missing shift.
+function getShiftPeriod(timestamp, shifts) {
+    const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS;
+    return (
+        findShiftPeriod(timestamp, shifts) || {
+            name: "Today",
+            startsAt: dayStart,
+            endsAt: dayStart + DAY_MS,
+        }
+    );
+}
+
+// What the dashboard starts from: the current shift's entries plus the
+// newest few, and when each line (chip destination) last had an entry.
+// Changes after this arrive on GET /events.
+app.get("/reports/dashboard", requireSupervisor, (req, res) => {
+    const calendar = getShiftCalendar();
+    const serverTime = getLocalTimestamp();
+    const period = getShiftPeriod(serverTime, calendar.shifts);
+    const shift = { ...period, crew: getShiftCrew(period, calendar) };
+
+    try {
+        const active = sortEntriesNewestFirst(getJournalEntries()).filter(
+            (entry) =>
+                entry.timestamp !== null &&
+                getEntryStatus(entry) !== normalizeHeaderValue(STATUS_VOID),
+        );
+        const entries = active.filter(
+            (entry, index) =>
+                index < DASHBOARD_RECENT_ENTRIES ||
+                (entry.timestamp >= shift.startsAt &&
+                    entry.timestamp < shift.endsAt),
+        );
+
+        const lastEntryAt = new Map(
+            Array.from(getActiveValues("destinations"), (line) => [line, null]),
+        );
+        active.forEach((entry) => {
+            if (!lastEntryAt.get(entry.destination)) {
+                lastEntryAt.set(entry.destination, entry.timestamp);
+            }
+        });
+
+        return res.json({
+            serverTime,
+            shift,
+            entries,
+            lines: Array.from(lastEntryAt, ([line, timestamp]) => ({
+                line,
+                lastEntryAt: timestamp,
+            })),
+        });
+    } catch (error) {
+        console.error(`Failed to build dashboard from ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to load the dashboard.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+function writeEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Tell every open dashboard about a change. "entries" carries saved, edited
+// or voided entries; "reload" means start over from /reports/dashboard.
+function publishEvent(type, data) {
+    eventClients.forEach((client) => writeEvent(client.res, type, data));
+}
+
+function publishEntries(action, ids) {
+    publishEvent("entries", {
+        action,
+        entries: ids.map((id) => journal.entries.get(id)).filter(Boolean),
+    });
+}
+
+// Server-sent events for the dashboard. Browsers reconnect on their own and
+// the dashboard reloads its snapshot whenever the stream opens.
+app.get("/events", authenticateQueryToken, requireSupervisor, (req, res) => {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Stops nginx and similar proxies holding events back.
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const client = { res, session: req.auth.session };
+    eventClients.add(client);
+    const heartbeat = setInterval(() => {
+        // A signed-out or idle session loses the stream like any request.
+        if (client.session?.endedAt) {
+            res.end();
+            return;
+        }
+        res.write(": keep-alive\n\n");
+    }, EVENT_HEARTBEAT_MS);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        eventClients.delete(client);
+    });
+});
+
+// Yield to the event loop between chunks so large exports don't stall saves.
+async function forEachChunk(items, size, callback) {
+    for (let start = 0; start < items.length; start += size) {
+        await callback(items.slice(start, start + size));
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+}
+
+// Export rows keep the sheet columns, with numeric weights as numbers.
+function toExportRow(entry) {
+    return ENTRY_FIELDS.map((field) => {
+        if (field === "netWeight" && /^\d*\.?\d+$/.test(entry.netWeight)) {
+            return Number(entry.netWeight);
+        }
+        return entry[field];
+    });
+}
+
+async function writeCsvExport(res, entries) {
+    res.write(`${XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet([HEADERS]))}\n`);
+    await forEachChunk(entries, EXPORT_CHUNK_SIZE, (chunk) => {
+        const sheet = XLSX.utils.aoa_to_sheet(chunk.map(toExportRow));
+        res.write(`${XLSX.utils.sheet_to_csv(sheet)}\n`);
+    });
+    res.end();
+}
+
+async function writeJsonExport(res, entries) {
+    let first = true;
+    res.write("[");
+    await forEachChunk(entries, EXPORT_CHUNK_SIZE, (chunk) => {
+        const text = chunk
+            .map((entry) => JSON.stringify(entry))
+            .join(",");
+        res.write(first ? text : `,${text}`);
+        first = false;
+    });
+    res.end("]");
+}
+
+// A fresh workbook with only the selected rows and a totals row underneath.
+async function writeXlsxExport(res, entries) {
+    const worksheet = XLSX.utils.aoa_to_sheet([HEADERS]);
+    await forEachChunk(entries, EXPORT_CHUNK_SIZE, (chunk) => {
+        XLSX.utils.sheet_add_aoa(
+            worksheet,
+            chunk.map((entry) =>
+                setDateCells(toExportRow(entry), ENTRY_FIELDS, entry),
+            ),
+            { origin: -1 },
+        );
+    });
+
+    // Voided rows are exported for the record but left out of the total.
+    const active = entries.filter(
+        (entry) => getEntryStatus(entry) !== normalizeHeaderValue(STATUS_VOID),
+    );
+    const totalsRow = HEADERS.map(() => "");
+    totalsRow[0] = `Total (${active.length} entries)`;
+    totalsRow[ENTRY_FIELDS.indexOf("netWeight")] = roundWeight(
+        active.reduce((sum, entry) => sum + parseNetWeight(entry.netWeight), 0),
+    );
+    XLSX.utils.sheet_add_aoa(worksheet, [totalsRow], { origin: -1 });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Export");
+    res.end(XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }));
+}
+
+app.get("/export", requireSupervisor, async (req, res) => {
+    const format = getTrimmedString(req.query.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+            error: "Format must be csv, json or xlsx.",
+            fields: ["format"],
+        });
+    }
+
+    let entries;
+    try {
+        entries = readFilteredEntries(parseEntriesQuery(req.query));
+    } catch (error) {
+        console.error(`Failed to read entries from ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to export entries.",
+            filePath: FILE_PATH,
+        });
+    }
+
+    const fileName = `consumption-export-${formatDayKey(Date.now())}.${format}`;
+    res.set("Content-Type", EXPORT_FORMATS[format]);
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    try {
+        if (format === "csv") {
+            await writeCsvExport(res, entries);
+        } else if (format === "json") {
+            await writeJsonExport(res, entries);
+        } else {
+            await writeXlsxExport(res, entries);
+        }
+    } catch (error) {
+        // Headers may already be sent, so just cut the download short.
+        console.error("Failed to write export.", error);
+        res.destroy(error);
+    }
+    return undefined;
+});
+
+// Flagged entries for review, filtered, sorted and paged like /entries.
+// Only active ones are listed unless a status is asked for.
+app.get("/anomalies", requireSupervisor, (req, res) => {
+    const options = parseEntriesQuery({ status: STATUS_ACTIVE, ...req.query });
+
+    try {
+        const flagged = readFilteredEntries(options).filter(
+            (entry) => entry.anomalies,
+        );
+        const total = flagged.length;
+        const totalPages = Math.max(1, Math.ceil(total / options.pageSize));
+        const start = (options.page - 1) * options.pageSize;
+
+        return res.json({
+            entries: flagged.slice(start, start + options.pageSize),
+            total,
+            page: options.page,
+            pageSize: options.pageSize,
+            totalPages,
+        });
+    } catch (error) {
+        console.error(`Failed to read anomalies from ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to read anomalies.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+app.put("/entries/:id", requireSupervisor, async (req, res) => {
+    const id = getTrimmedString(req.params.id);
+    // The audit names whoever is signed in, not a name from the body.
+    const changedBy = req.auth.name;
+    const reason = getTrimmedString(req.body?.reason);
+
+    try {
+        return await enqueueWorkbookWrite(() => {
+            syncJournal();
+            const current = journal.entries.get(id);
+            if (!current) {
+                return res.status(404).json({ error: "Entry not found.", id });
+            }
+
+            if (getEntryStatus(current) === normalizeHeaderValue(STATUS_VOID)) {
+                return res.status(409).json({
+                    error: "Voided entries cannot be edited.",
+                    id,
+                });
+            }
+
+            // Only fields present in the body change; the rest keep their value.
+            const updates = {};
+            EDITABLE_FIELDS.forEach((field) => {
+                if (req.body && Object.hasOwn(req.body, field)) {
+                    updates[field] = req.body[field];
+                }
+            });
+
+            const { errors, ...validated } = validatePayload({
+                ...current,
+                ...updates,
+            });
+            // Older rows may break today's rules; only changed values must pass.
+            const changedErrors = Object.fromEntries(
+                Object.entries(errors).filter(
+                    ([field]) =>
+                        toSheetValue(field, validated[field]) !== current[field],
+                ),
+            );
+            if (Object.keys(changedErrors).length > 0) {
+                return sendValidationErrors(res, changedErrors);
+            }
+
+            const changes = EDITABLE_FIELDS.filter(
+                (field) => toSheetValue(field, validated[field]) !== current[field],
+            ).map((field) => ({
+                id,
+                action: "Edit",
+                field,
+                oldValue: current[field],
+                newValue: toSheetValue(field, validated[field]),
+                changedBy,
+                reason,
+            }));
+            // A corrected weight is no longer the one the scale read.
+            if (
+                changes.some((change) => change.field === "netWeight") &&
+                current.weightSource !== WEIGHT_SOURCE_MANUAL
+            ) {
+                changes.push({
+                    id,
+                    action: "Edit",
+                    field: "weightSource",
+                    oldValue: current.weightSource,
+                    newValue: WEIGHT_SOURCE_MANUAL,
+                    changedBy,
+                    reason,
+                });
+            }
+            // A corrected weight, product or destination is checked again.
+            if (
+                changes.some((change) =>
+                    ["chipType", "product", "destination", "netWeight"].includes(
+                        change.field,
+                    ),
+                )
+            ) {
+                const checked = { ...current };
+                changes.forEach((change) => {
+                    checked[change.field] = change.newValue;
+                });
+                const anomalies = formatAnomalies(findAnomalies([checked])[0]);
+                if (anomalies !== current.anomalies) {
+                    changes.push({
+                        id,
+                        action: "Edit",
+                        field: "anomalies",
+                        oldValue: current.anomalies,
+                        newValue: anomalies,
+                        changedBy,
+                        reason,
+                    });
+                }
+            }
+
+            if (changes.length > 0) {
+                const updated = { ...current };
+                changes.forEach((change) => {
+                    updated[change.field] = change.newValue;
+                });
+                appendJournal([
+                    createEntryRecord(updated),
+                    ...createAuditRecords(changes),
+                ]);
+                scheduleWorkbookRebuild();
+                publishEntries("edit", [id]);
+            }
+
+            return res.json({
+                success: true,
+                entry: journal.entries.get(id),
+                changes: changes.map(({ field, oldValue, newValue }) => ({
+                    field,
+                    oldValue,
+                    newValue,
+                })),
+            });
+        });
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            return sendWorkbookLocked(res, error);
+        }
+        console.error(`Failed to update entry ${id} in ${FILE_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to update entry.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+app.delete("/entries/:id", requireSupervisor, async (req, res) => {
+    const id = getTrimmedString(req.params.id);
+    // The audit names whoever is signed in, not a name from the body.
+    const changedBy = req.auth.name;
+    const reason = getTrimmedString(req.body?.reason);
+
+    try {
+        return await enqueueWorkbookWrite(() => {
+            syncJournal();
+            const current = journal.entries.get(id);
+            if (!current) {
+                return res.status(404).json({ error: "Entry not found.", id });
+            }
+
+            if (getEntryStatus(current) === normalizeHeaderValue(STATUS_VOID)) {
+                return res.status(409).json({
+                    error: "Entry is already void.",
+                    id,
+                });
+            }
+
+            // Voiding keeps the entry for the record and only flips its status.
+            appendJournal([
+                createEntryRecord({ ...current, status: STATUS_VOID }),
+                ...createAuditRecords([
+                    {
+                        id,
+                        action: "Void",
+                        field: "status",
+                        oldValue: current.status,
+                        newValue: STATUS_VOID,
+                        changedBy,
+                        reason,
+                    },
+                ]),
+            ]);
+            scheduleWorkbookRebuild();
+            publishEntries("void", [id]);
+
+            return res.json({ success: true, entry: journal.entries.get(id) });
+        });
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            return sendWorkbookLocked(res, error);
+        }
+        console.error(`Failed to void entry ${id} in ${FILE_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to void entry.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+app.get("/backups", requireAdmin, (req, res) => {
+    try {
+        return res.json({ backups: listBackups() });
+    } catch (error) {
+        console.error(`Failed to list backups in ${BACKUP_DIR}.`, error);
+        return res.status(500).json({
+            error: "Unable to list backups.",
+            filePath: BACKUP_DIR,
+        });
+    }
+});
+
+app.post("/backups/:id/restore", requireAdmin, async (req, res) => {
+    const id = req.params.id;
+    const backup = BACKUP_ID_PATTERN.test(id) ? readBackupManifest(id) : null;
+    if (!backup) {
+        return res.status(404).json({ error: "Backup not found.", id });
+    }
+
+    try {
+        return await enqueueWorkbookWrite(() => {
+            // Back up the current data first so a restore can be undone.
+            const previous = createBackup(`before restoring ${id}`);
+            restoreBackup(backup);
+            pruneBackups();
+            publishEvent("reload", { reason: "restore" });
+            return res.json({
+                success: true,
+                restored: backup,
+                backup: previous,
+                entries: journal.entries.size,
+            });
+        });
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            return sendWorkbookLocked(res, error);
+        }
+        console.error(`Failed to restore backup ${id}.`, error);
+        return res.status(500).json({
+            error: "Unable to restore backup.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+function sendOperatorError(res, error) {
+    console.error(`Failed to update operators at ${OPERATORS_PATH}.`, error);
+    return res.status(500).json({
+        error: "Unable to update operators.",
+        filePath: OPERATORS_PATH,
+    });
+}
+
+// Active operators for the sign-in list; ?all=1 adds badges for admins.
+app.get("/operators", requireAdminForAll, (req, res) => {
+    try {
+        const includeAll = req.query.all === "1";
+        const operators = getOperators()
+            .filter((operator) => includeAll || operator.active)
+            .map((operator) => toPublicOperator(operator, includeAll));
+        return res.json({ operators });
+    } catch (error) {
+        console.error(`Failed to read operators at ${OPERATORS_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to read operators.",
+            filePath: OPERATORS_PATH,
+        });
+    }
+});
+
+app.post("/operators", requireAdmin, (req, res) => {
+    const values = {
+        name: getTrimmedString(req.body?.name).replace(/\s+/g, " "),
+        badge: getTrimmedString(req.body?.badge),
+        pin: getTrimmedString(req.body?.pin),
+        role: getTrimmedString(req.body?.role) || "operator",
+    };
+
+    try {
+        const operators = getOperators();
+        const errors = validateOperator(operators, values, null);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const operator = {
+            id: crypto.randomUUID(),
+            name: values.name,
+            badge: values.badge,
+            role: values.role,
+            active: true,
+        };
+        setOperatorPin(operator, values.pin);
+        saveOperators([...operators, operator]);
+        return res.status(201).json({
+            success: true,
+            operator: toPublicOperator(operator, true),
+        });
+    } catch (error) {
+        return sendOperatorError(res, error);
+    }
+});
+
+// Rename, re-badge, reset the PIN, change the role or retire/restore an
+// operator.
+app.patch("/operators/:id", requireAdmin, (req, res) => {
+    try {
+        const operators = getOperators();
+        const operator = operators.find(
+            (candidate) => candidate.id === req.params.id,
+        );
+        if (!operator) {
+            return res.status(404).json({
+                error: "Operator not found.",
+                id: req.params.id,
+            });
+        }
+
+        const values = {};
+        ["name", "badge", "pin", "role"].forEach((field) => {
+            if (typeof req.body?.[field] === "string") {
+                values[field] = getTrimmedString(req.body[field]);
+            }
+        });
+        if (values.name !== undefined) {
+            values.name = values.name.replace(/\s+/g, " ");
+        }
+        const errors = validateOperator(operators, values, operator);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        if (values.name !== undefined) {
+            operator.name = values.name;
+        }
+        if (values.badge !== undefined) {
+            operator.badge = values.badge;
+        }
+        if (values.pin !== undefined) {
+            setOperatorPin(operator, values.pin);
+        }
+        const roleChanged =
+            values.role !== undefined &&
+            values.role !== getOperatorRole(operator);
+        if (values.role !== undefined) {
+            operator.role = values.role;
+        }
+        if (typeof req.body?.active === "boolean") {
+            operator.active = req.body.active;
+        }
+        // Retiring, a new PIN or a new role signs the operator out everywhere.
+        if (!operator.active || values.pin !== undefined || roleChanged) {
+            endOperatorSessions(operator.id);
+        }
+        saveOperators(operators);
+        return res.json({
+            success: true,
+            operator: toPublicOperator(operator, true),
+        });
+    } catch (error) {
+        return sendOperatorError(res, error);
+    }
+});
+
+// Sign in by picking a name (operatorId) or scanning a badge, plus the PIN.
+app.post("/session", (req, res) => {
+    const operatorId = getTrimmedString(req.body?.operatorId);
+    const badge = normalizeHeaderValue(req.body?.badge);
+    const pin = getTrimmedString(req.body?.pin);
+    if ((!operatorId && !badge) || !pin) {
+        return res.status(400).json({
+            error: "Missing required fields.",
+            fields: [operatorId || badge ? "pin" : "operatorId"],
+        });
+    }
+
+    let operator;
+    try {
+        operator = getOperators().find(
+            (candidate) =>
+                candidate.active &&
+                (operatorId
+                    ? candidate.id === operatorId
+                    : normalizeHeaderValue(candidate.badge) === badge),
+        );
+    } catch (error) {
+        console.error(`Failed to read operators at ${OPERATORS_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to sign in.",
+            filePath: OPERATORS_PATH,
+        });
+    }
+    if (!operator) {
+        return res.status(401).json({ error: "Badge or PIN is incorrect." });
+    }
+
+    const failures = pinFailures.get(operator.id);
+    if (
+        failures?.count >= MAX_PIN_ATTEMPTS &&
+        Date.now() - failures.lastAt < PIN_LOCKOUT_MS
+    ) {
+        res.set("Retry-After", String(Math.ceil(PIN_LOCKOUT_MS / 1000)));
+        return res.status(429).json({
+            error: "Too many wrong PINs. Try again in a few minutes.",
+        });
+    }
+    if (!verifyPin(operator, pin)) {
+        pinFailures.set(operator.id, {
+            count: (failures?.count || 0) + 1,
+            lastAt: Date.now(),
+        });
+        return res.status(401).json({ error: "Badge or PIN is incorrect." });
+    }
+    pinFailures.delete(operator.id);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = Date.now();
+    sessions.set(token, {
+        operatorId: operator.id,
+        name: operator.name,
+        role: getOperatorRole(operator),
+        createdAt: now,
+        lastSeen: now,
+        endedAt: null,
+        revoked: false,
+    });
+    return res.status(201).json({
+        token,
+        operator: {
+            ...toPublicOperator(operator),
+            role: getOperatorRole(operator),
+        },
+        idleTimeoutMinutes: SESSION_IDLE_MINUTES,
+    });
+});
+
+// Check the session is still live; the check also keeps it alive.
+app.get("/session", (req, res) => {
+    const session = req.auth?.session;
+    if (!session) {
+        return sendSessionRequired(res);
+    }
+    return res.json({
+        operator: {
+            id: session.operatorId,
+            name: session.name,
+            role: session.role,
+        },
+        idleTimeoutMinutes: SESSION_IDLE_MINUTES,
+    });
+});
+
+app.delete("/session", (req, res) => {
+    const session = req.auth?.session;
+    if (session) {
+        revokeSession(session);
+    }
+    return res.json({ success: true });
+});
+
+// Stations the form can capture a weight from.
+app.get("/scales", requireOperator, (req, res) => {
+    res.json({
+        stations: Array.from(scaleStations.values(), (station) => ({
+            id: station.id,
+            connected: Boolean(station.connected),
+        })),
+    });
+});
+
+// The station's weight in pounds, once the scale has settled.
+app.get("/scale/:stationId", requireOperator, (req, res) => {
+    const stationId = req.params.stationId;
+    const station = scaleStations.get(stationId);
+    if (!station) {
+        return res.status(404).json({ error: "Scale not found.", stationId });
+    }
+
+    const { status, reading } = getScaleStatus(station);
+    if (status !== "steady") {
+        return res.status(503).json({
+            error: SCALE_STATUS_ERRORS[status],
+            code: `SCALE_${status.toUpperCase()}`,
+            stationId,
+        });
+    }
+    return res.json({
+        stationId,
+        weight: reading.weight,
+        unit: "lb",
+        mode: reading.mode,
+        readAt: new Date(reading.readAt).toISOString(),
+    });
+});
+
+// Limits the form checks before sending, matching validatePayload.
+app.get("/config/rules", requireOperator, (req, res) => {
+    res.json({ maxNetWeight: MAX_NET_WEIGHT });
+});
+
+// Open production orders for the form's line and order fields.
+app.get("/orders", requireOperator, (req, res) => {
+    res.json({ orders: getOpenOrders() });
+});
+
+function getMasterDataList(req, res) {
+    const list = req.params.list;
+    if (!MASTER_DATA_LISTS.includes(list)) {
+        res.status(404).json({ error: "Unknown list.", list });
+        return null;
+    }
+    return list;
+}
+
+function sendMasterDataError(res, error) {
+    console.error(`Failed to update master data at ${MASTER_DATA_PATH}.`, error);
+    return res.status(500).json({
+        error: "Unable to update master data.",
+        filePath: MASTER_DATA_PATH,
+    });
+}
+
+app.get("/config/:list", requireOperator, requireAdminForAll, (req, res) => {
+    const list = getMasterDataList(req, res);
+    if (!list) {
+        return undefined;
+    }
+
+    try {
+        // Retired items are only listed for the admin page.
+        const includeRetired = req.query.all === "1";
+        const items = getMasterData()[list].filter(
+            (item) => includeRetired || item.active,
+        );
+        return res.json({ list, items });
+    } catch (error) {
+        console.error(`Failed to read master data at ${MASTER_DATA_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to read master data.",
+            filePath: MASTER_DATA_PATH,
+        });
+    }
+});
+
+app.post("/config/:list", requireAdmin, (req, res) => {
+    const list = getMasterDataList(req, res);
+    if (!list) {
+        return undefined;
+    }
+
+    const value = getTrimmedString(req.body?.value);
+    const label = getTrimmedString(req.body?.label) || value;
+    if (!value) {
+        return res.status(400).json({
+            error: "Missing required fields.",
+            fields: ["value"],
+        });
+    }
+
+    try {
+        const data = getMasterData();
+        if (data[list].some((item) => item.value === value)) {
+            return res.status(409).json({
+                error: "Item already exists.",
+                value,
+            });
+        }
+
+        const item = createMasterDataItem({ value, label });
+        data[list].push(item);
+        saveMasterData(data);
+        return res.status(201).json({ success: true, item });
+    } catch (error) {
+        return sendMasterDataError(res, error);
+    }
+});
+
+// Reorder a list by giving every value in the order it should appear.
+app.put("/config/:list/order", requireAdmin, (req, res) => {
+    const list = getMasterDataList(req, res);
+    if (!list) {
+        return undefined;
+    }
+
+    const values = Array.isArray(req.body?.values) ? req.body.values : [];
+    try {
+        const data = getMasterData();
+        const byValue = new Map(data[list].map((item) => [item.value, item]));
+        if (
+            values.length !== byValue.size ||
+            new Set(values).size !== values.length ||
+            !values.every((value) => byValue.has(value))
+        ) {
+            return res.status(400).json({
+                error: "Order must list every item exactly once.",
+                fields: ["values"],
+            });
+        }
+
+        data[list] = values.map((value) => byValue.get(value));
+        saveMasterData(data);
+        return res.json({ success: true, items: data[list] });
+    } catch (error) {
+        return sendMasterDataError(res, error);
+    }
+});
+
+// Products take a box weight range as two numbers, smallest first; two nulls
+// clear it so the range is learned again. Returns false when it's invalid.
+function readWeightRange(body) {
+    const { minWeight, maxWeight } = body;
+    if (minWeight === null && maxWeight === null) {
+        return null;
+    }
+    if (
+        typeof minWeight !== "number" ||
+        typeof maxWeight !== "number" ||
+        !Number.isFinite(minWeight) ||
+        !Number.isFinite(maxWeight) ||
+        minWeight < 0 ||
+        minWeight >= maxWeight
+    ) {
+        return false;
+    }
+    return { minWeight, maxWeight };
+}
+
+// Rename or retire/restore an item; items are never removed from the list.
+app.patch("/config/:list/:value", requireAdmin, (req, res) => {
+    const list = getMasterDataList(req, res);
+    if (!list) {
+        return undefined;
+    }
+
+    const value = req.params.value;
+    const setsRange =
+        list === "products" &&
+        (Object.hasOwn(req.body ?? {}, "minWeight") ||
+            Object.hasOwn(req.body ?? {}, "maxWeight"));
+    const range = setsRange ? readWeightRange(req.body) : undefined;
+    if (range === false) {
+        return sendValidationErrors(res, {
+            minWeight:
+                "Enter the lowest and highest box weight, lowest first.",
+        });
+    }
+
+    try {
+        const data = getMasterData();
+        const item = data[list].find((candidate) => candidate.value === value);
+        if (!item) {
+            return res.status(404).json({ error: "Item not found.", value });
+        }
+
+        const label = getTrimmedString(req.body?.label);
+        if (label) {
+            item.label = label;
+        }
+        if (typeof req.body?.active === "boolean") {
+            item.active = req.body.active;
+        }
+        if (range) {
+            Object.assign(item, range);
+        } else if (range === null) {
+            delete item.minWeight;
+            delete item.maxWeight;
+        }
+        saveMasterData(data);
+        return res.json({ success: true, item });
+    } catch (error) {
+        return sendMasterDataError(res, error);
+    }
+});
+
+// The capture time as the plant's clocks read it: date and time to match
+// the Excel columns, and the ISO-8601 time with its offset.
+function formatSheetDateTime(now) {
+    return {
+        date: now.toLocaleDateString("en-US", { timeZone: PLANT_TIME_ZONE }),
+        time: now.toLocaleTimeString("en-US", {
+            timeZone: PLANT_TIME_ZONE,
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        }),
+        capturedAt: formatIsoTimestamp(now, PLANT_TIME_ZONE),
+    };
+}
+
+// Build a new sheet row from validated values.
+function createEntryRow(values, options) {
+    const { date, time, capturedAt } = formatSheetDateTime(options.now);
+    const { shift, crew } = getShiftStamp(
+        getWallTimestamp(options.now, PLANT_TIME_ZONE),
+    );
+
+    return [
+        values.boxNumber,
+        values.product,
+        values.operatorName,
+        values.destination,
+        date,
+        time,
+        values.netWeight,
+        createEntryId(),
+        STATUS_ACTIVE,
+        options.submissionId,
+        CHIP_TYPE_LABELS[values.chipType],
+        values.silo,
+        values.supplier,
+        options.operatorId,
+        options.weightSource,
+        capturedAt,
+        shift,
+        crew,
+        values.line,
+        values.productionOrder,
+    ];
+}
+
+function getBoxWarnings(entry) {
+    // Bulk silos and purchased suppliers are reused on purpose.
+    if (entry.chipType !== CHIP_TYPE_LABELS.box) {
+        return [];
+    }
+
+    const inventory = getInventoryWarnings(entry);
+    // A received box consumed twice is already reported by the inventory.
+    const reuse = inventory.some(
+        (warning) => warning.code === "BOX_ALREADY_CONSUMED",
+    )
+        ? []
+        : findRecentBoxConsumptions(entry).map((previous) => ({
+              code: "BOX_RECENTLY_CONSUMED",
+              message: `Box ${previous.boxNumber} was already consumed on ${previous.date} at ${previous.time}.`,
+              id: previous.id,
+          }));
+    return [...reuse, ...inventory];
+}
+
+// Consuming a product that isn't on the order's bill of materials is allowed
+// (substitutions happen) but worth a second look.
+function getOrderWarnings(entry) {
+    const order = getOpenOrders().find(
+        (item) => item.order === entry.productionOrder,
+    );
+    if (
+        !order ||
+        order.materials.length === 0 ||
+        order.materials.some(
+            (material) =>
+                normalizeHeaderValue(material.product) ===
+                normalizeHeaderValue(entry.product),
+        )
+    ) {
+        return [];
+    }
+    return [
+        {
+            code: "PRODUCT_NOT_ON_ORDER",
+            message: `${entry.product} is not on the bill of materials for production order ${order.order}.`,
+        },
+    ];
+}
+
+// Linear interpolation between the closest ranks of sorted values.
+function getQuantile(sorted, fraction) {
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function getWeightRangeKey(entry) {
+    return `${normalizeHeaderValue(entry.chipType)}|${normalizeHeaderValue(entry.product)}`;
+}
+
+// Expected weights per chip type and product from the active entries: the
+// quartiles widened by ANOMALY_WEIGHT_FENCE times their spread. The spread
+// is at least a tenth of the median so very steady products still get room.
+function getLearnedWeightRanges() {
+    if (
+        learnedWeightRanges?.inode === journal.inode &&
+        learnedWeightRanges.offset === journal.offset
+    ) {
+        return learnedWeightRanges.ranges;
+    }
+
+    const weights = new Map();
+    journal.entries.forEach((entry) => {
+        const weight = Number.parseFloat(entry.netWeight);
+        if (!isActiveRecord(entry) || !Number.isFinite(weight) || weight <= 0) {
+            return;
+        }
+        const key = getWeightRangeKey(entry);
+        if (!weights.has(key)) {
+            weights.set(key, []);
+        }
+        weights.get(key).push(weight);
+    });
+
+    const ranges = new Map();
+    weights.forEach((values, key) => {
+        if (values.length < ANOMALY_MIN_SAMPLES) {
+            return;
+        }
+        values.sort((left, right) => left - right);
+        const lower = getQuantile(values, 0.25);
+        const upper = getQuantile(values, 0.75);
+        const spread = Math.max(upper - lower, getQuantile(values, 0.5) / 10);
+        ranges.set(key, {
+            minWeight: roundWeight(
+                Math.max(0, lower - ANOMALY_WEIGHT_FENCE * spread),
+            ),
+            maxWeight: roundWeight(upper + ANOMALY_WEIGHT_FENCE * spread),
+        });
+    });
+
+    learnedWeightRanges = {
+        inode: journal.inode,
+        offset: journal.offset,
+        ranges,
+    };
+    return ranges;
+}
+
+// A box product's hand-set range wins over the learned one.
+function getWeightRange(entry) {
+    if (entry.chipType === CHIP_TYPE_LABELS.box) {
+        const item = getMasterData().products.find(
+            (candidate) => candidate.value === entry.product,
+        );
+        if (item?.minWeight !== undefined) {
+            return { minWeight: item.minWeight, maxWeight: item.maxWeight };
+        }
+    }
+    return getLearnedWeightRanges().get(getWeightRangeKey(entry)) || null;
+}
+
+function getWeightAnomalies(entry) {
+    const range = getWeightRange(entry);
+    const weight = Number.parseFloat(entry.netWeight);
+    if (
+        !range ||
+        !Number.isFinite(weight) ||
+        (weight >= range.minWeight && weight <= range.maxWeight)
+    ) {
+        return [];
+    }
+    return [
+        {
+            code:
+                weight > range.maxWeight
+                    ? "WEIGHT_ABOVE_RANGE"
+                    : "WEIGHT_BELOW_RANGE",
+            message: `${entry.netWeight} lbs is outside the usual ${range.minWeight} to ${range.maxWeight} lbs for ${entry.product}.`,
+            boxNumber: entry.boxNumber,
+            ...range,
+        },
+    ];
+}
+
+// Boxes going to the entries' destination in the hour up to the latest of
+// them, against that destination's busy hours over the previous weeks. The
+// boxes of one save share a destination.
+function getRateAnomalies(entries) {
+    const boxes = entries.filter(
+        (entry) =>
+            entry.chipType === CHIP_TYPE_LABELS.box && entry.instant !== null,
+    );
+    if (boxes.length === 0) {
+        return [];
+    }
+
+    const ids = new Set(boxes.map((entry) => entry.id));
+    const destination = normalizeHeaderValue(boxes[0].destination);
+    const end = Math.max(...boxes.map((entry) => entry.instant));
+    const hourStart = end - HOUR_MS;
+    const historyStart = hourStart - ANOMALY_RATE_HISTORY_DAYS * DAY_MS;
+    const hourly = new Map();
+    let count = boxes.length;
+    journal.entries.forEach((entry) => {
+        if (
+            ids.has(entry.id) ||
+            !isActiveRecord(entry) ||
+            entry.chipType !== CHIP_TYPE_LABELS.box ||
+            normalizeHeaderValue(entry.destination) !== destination ||
+            entry.instant === null ||
+            entry.instant < historyStart ||
+            entry.instant > end
+        ) {
+            return;
+        }
+        if (entry.instant > hourStart) {
+            count += 1;
+            return;
+        }
+        const hour = Math.floor(entry.instant / HOUR_MS);
+        hourly.set(hour, (hourly.get(hour) || 0) + 1);
+    });
+
+    if (hourly.size < ANOMALY_RATE_MIN_HOURS) {
+        return [];
+    }
+    const counts = Array.from(hourly.values()).sort(
+        (left, right) => left - right,
+    );
+    const limit = Math.ceil(getQuantile(counts, 0.95) * ANOMALY_RATE_FACTOR);
+    if (count <= limit) {
+        return [];
+    }
+    return [
+        {
+            code: "DESTINATION_RATE_HIGH",
+            message: `${count} boxes went to ${boxes[0].destination} in the last hour; it usually takes no more than ${limit}.`,
+            count,
+            limit,
+        },
+    ];
+}
+
+// Anomalies of entries saved together, one list per entry. The rate covers
+// the whole save, so it is on every entry's list.
+function findAnomalies(entries) {
+    const rate = getRateAnomalies(entries);
+    return entries.map((entry) => [...getWeightAnomalies(entry), ...rate]);
+}
+
+// The Anomalies column keeps just the messages.
+function formatAnomalies(anomalies) {
+    return anomalies.map((anomaly) => anomaly.message).join("; ");
+}
+
+// Saves queued on a tablet are sent with nobody there to confirm them
+// (deferAnomalies), so they are saved with their flags marked unconfirmed
+// for a supervisor to review instead of being held back. Only saves that
+// really waited in the queue may defer; anything else is asked to confirm.
+function canDeferAnomalies(req, capturedAt) {
+    return (
+        req.body?.deferAnomalies === true &&
+        (req.auth.replayed === true ||
+            Date.now() - capturedAt.getTime() >= DEFERRED_ANOMALY_MIN_AGE_MS)
+    );
+}
+
+function needsAnomalyConfirmation(req, capturedAt, anomalies) {
+    return (
+        anomalies.length > 0 &&
+        req.body?.acceptAnomalies !== true &&
+        !canDeferAnomalies(req, capturedAt)
+    );
+}
+
+function formatSavedAnomalies(body, anomalies) {
+    const text = formatAnomalies(anomalies);
+    return text && body?.acceptAnomalies !== true
+        ? `${UNCONFIRMED_ANOMALY_PREFIX}${text}`
+        : text;
+}
+
+// Anomalies are saved once the operator has seen and confirmed them.
+function sendAnomalyConfirmation(res, anomalies) {
+    return res.status(409).json({
+        error: "This entry looks unusual. Confirm it to save anyway.",
+        code: "ANOMALY_CONFIRMATION_REQUIRED",
+        anomalies,
+    });
+}
+
+function sendInvalidSubmissionId(res) {
+    return res.status(400).json({
+        error: "Invalid submission ID.",
+        fields: ["submissionId"],
+    });
+}
+
+// Each box of a batch is saved under its own submission ID. The colons keep
+// them apart from client IDs, which SUBMISSION_ID_PATTERN never lets have
+// one, so a single save can't be taken for a box of a batch.
+function getBatchSubmissionId(submissionId, index) {
+    return `batch:${submissionId}:${index + 1}`;
+}
+
+// IDs of the entries a batch submission saved, in box order; empty when it
+// has not been saved.
+function getBatchSubmissionIds(submissionId) {
+    const ids = [];
+    let id = journal.bySubmission.get(getBatchSubmissionId(submissionId, 0));
+    while (id) {
+        ids.push(id);
+        id = journal.bySubmission.get(
+            getBatchSubmissionId(submissionId, ids.length),
+        );
+    }
+    return ids;
+}
+
+// A retry gets its original result back before anything else is checked:
+// its product may have been retired or its capture time aged out since the
+// first attempt saved it. The write checks again under the lock, so a
+// journal that can't be read here is left for the write to report.
+function findSavedSubmission(find) {
+    try {
+        syncJournal();
+        return find();
+    } catch (error) {
+        return null;
+    }
+}
+
+app.post("/save", allowEndedSession, requireOperator, async (req, res) => {
+    const submissionId = getTrimmedString(req.body?.submissionId);
+    if (submissionId && !SUBMISSION_ID_PATTERN.test(submissionId)) {
+        return sendInvalidSubmissionId(res);
+    }
+    const savedId = submissionId
+        ? findSavedSubmission(() => journal.bySubmission.get(submissionId))
+        : null;
+    if (savedId) {
+        return res.json({
+            success: true,
+            id: savedId,
+            filePath: FILE_PATH,
+            duplicate: true,
+        });
+    }
+
+    // Offline saves send the time the box was consumed, not the retry time.
+    const now = parseCapturedAt(req.body?.capturedAt);
+    if (!now) {
+        return sendInvalidCaptureTime(res);
+    }
+
+    // Signed-in operators save under their own name, never one from the
+    // body; service integrations send the operator's name with the entry.
+    const givenName = req.auth.session
+        ? req.auth.name
+        : req.body?.operatorName;
+
+    // Validate the request and return field-level errors if needed.
+    const {
+        boxNumber,
+        product,
+        operatorName,
+        destination,
+        netWeight,
+        chipType,
+        silo,
+        supplier,
+        line,
+        productionOrder,
+        errors,
+    } = validatePayload({ ...req.body, operatorName: givenName });
+
+    if (Object.keys(errors).length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const weightSource = getWeightSource(req.body);
+    if (!weightSource) {
+        return res.status(400).json({
+            error: "Unknown scale station.",
+            fields: ["scaleStationId"],
+        });
+    }
+
+    const row = createEntryRow(
+        {
+            boxNumber,
+            product,
+            operatorName,
+            destination,
+            netWeight,
+            chipType,
+            silo,
+            supplier,
+            line,
+            productionOrder,
+        },
+        { now, submissionId, operatorId: req.auth.operatorId, weightSource },
+    );
+    const id = row[ID_COLUMN];
+
+    try {
+        return await enqueueWorkbookWrite(() => {
+            syncJournal();
+
+            // A retried submission gets its original result back.
+            const originalId = submissionId
+                ? journal.bySubmission.get(submissionId)
+                : null;
+            if (originalId) {
+                return res.json({
+                    success: true,
+                    id: originalId,
+                    filePath: FILE_PATH,
+                    duplicate: true,
+                });
+            }
+
+            const entry = rowToEntry(row);
+            const [anomalies] = findAnomalies([entry]);
+            if (needsAnomalyConfirmation(req, now, anomalies)) {
+                return sendAnomalyConfirmation(res, anomalies);
+            }
+            entry.anomalies = formatSavedAnomalies(req.body, anomalies);
+            const warnings = [
+                ...getBoxWarnings(entry),
+                ...getOrderWarnings(entry),
+            ];
+
+            // The workbook is rebuilt newest-first from the journal shortly.
+            appendJournal([createEntryRecord(entry)]);
+            scheduleWorkbookRebuild();
+            publishEntries("save", [id]);
+
+            return res.json({
+                success: true,
+                id,
+                filePath: FILE_PATH,
+                warnings,
+            });
+        });
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            return sendWorkbookLocked(res, error);
+        }
+        console.error(`Failed to save data to Excel file at ${FILE_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to save data.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+// Save several boxes of one product to one destination together. The boxes
+// are written as a single journal record: all of them are saved or none.
+app.post("/save/batch", allowEndedSession, requireOperator, async (req, res) => {
+    const submissionId = getTrimmedString(req.body?.submissionId);
+    if (submissionId && !SUBMISSION_ID_PATTERN.test(submissionId)) {
+        return sendInvalidSubmissionId(res);
+    }
+    const savedIds = submissionId
+        ? findSavedSubmission(() => getBatchSubmissionIds(submissionId))
+        : null;
+    if (savedIds?.length > 0) {
+        return res.json({
+            success: true,
+            ids: savedIds,
+            filePath: FILE_PATH,
+            duplicate: true,
+        });
+    }
+
+    const now = parseCapturedAt(req.body?.capturedAt);
+    if (!now) {
+        return sendInvalidCaptureTime(res);
+    }
+
+    const boxes = Array.isArray(req.body?.boxes) ? req.body.boxes : [];
+    if (boxes.length === 0 || boxes.length > MAX_BATCH_BOXES) {
+        return res.status(400).json({
+            error: `A batch needs 1 to ${MAX_BATCH_BOXES} boxes.`,
+            fields: ["boxes"],
+        });
+    }
+
+    const givenName = req.auth.session
+        ? req.auth.name
+        : req.body?.operatorName;
+    // Box errors are keyed by position, e.g. "boxes.2.netWeight".
+    const errors = {};
+    const seenBoxes = new Set();
+    const rows = boxes.map((box, index) => {
+        const { errors: boxErrors, ...values } = validatePayload({
+            chipType: "box",
+            boxNumber: box?.boxNumber,
+            product: req.body.product,
+            netWeight: box?.netWeight,
+            operatorName: givenName,
+            destination: req.body.destination,
+            line: req.body.line,
+            productionOrder: req.body.productionOrder,
+        });
+        const weightSource = getWeightSource(box);
+        if (!weightSource) {
+            boxErrors.scaleStationId = "Unknown scale station.";
+        }
+        const boxKey = normalizeHeaderValue(values.boxNumber);
+        if (boxKey && seenBoxes.has(boxKey)) {
+            boxErrors.boxNumber = "This box is already in the batch.";
+        }
+        seenBoxes.add(boxKey);
+
+        Object.entries(boxErrors).forEach(([field, message]) => {
+            const key = BATCH_SHARED_FIELDS.includes(field)
+                ? field
+                : `boxes.${index}.${field}`;
+            errors[key] = message;
+        });
+        // Each box gets its own submission ID so retries are recognised.
+        return createEntryRow(values, {
+            now,
+            submissionId: submissionId
+                ? getBatchSubmissionId(submissionId, index)
+                : "",
+            operatorId: req.auth.operatorId,
+            weightSource,
+        });
+    });
+
+    if (Object.keys(errors).length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        return await enqueueWorkbookWrite(() => {
+            syncJournal();
+
+            // Batches are saved whole, so a retry shows up on its first box.
+            const originalIds = submissionId
+                ? getBatchSubmissionIds(submissionId)
+                : [];
+            if (originalIds.length > 0) {
+                return res.json({
+                    success: true,
+                    ids: originalIds,
+                    filePath: FILE_PATH,
+                    duplicate: true,
+                });
+            }
+
+            const entries = rows.map(rowToEntry);
+
+            const anomalies = findAnomalies(entries);
+            const allAnomalies = Array.from(new Set(anomalies.flat()));
+            if (needsAnomalyConfirmation(req, now, allAnomalies)) {
+                return sendAnomalyConfirmation(res, allAnomalies);
+            }
+            entries.forEach((entry, index) => {
+                entry.anomalies = formatSavedAnomalies(
+                    req.body,
+                    anomalies[index],
+                );
+            });
+
+            // The boxes share a product and order, so that is checked once.
+            const warnings = [
+                ...entries.flatMap(getBoxWarnings),
+                ...getOrderWarnings(entries[0]),
+            ];
+            appendJournal([
+                createBatchRecord(entries.map(createEntryRecord)),
+            ]);
+            scheduleWorkbookRebuild();
+            publishEntries("save", entries.map((entry) => entry.id));
+
+            return res.json({
+                success: true,
+                ids: entries.map((entry) => entry.id),
+                filePath: FILE_PATH,
+                warnings,
+            });
+        });
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            return sendWorkbookLocked(res, error);
+        }
+        console.error(`Failed to save a batch to ${FILE_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to save the batch.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+// One reconciliation row per receipt, and one per box consumed without a
+// receipt. A receipt is open until its box is consumed, and a duplicate once
+// it has been consumed more than once.
+function createInventoryRow(receipt, consumptions) {
+    const last = consumptions.at(-1);
+    let status = "unknown";
+    if (receipt) {
+        status = ["open", "consumed"][consumptions.length] || "duplicate";
+    }
+    const receivedWeight = receipt ? parseNetWeight(receipt.netWeight) : null;
+    const consumedWeight =
+        consumptions.length > 0
+            ? roundWeight(
+                  consumptions.reduce(
+                      (sum, entry) => sum + parseNetWeight(entry.netWeight),
+                      0,
+                  ),
+              )
+            : null;
+    const weightDifference =
+        receipt && consumedWeight !== null
+            ? roundWeight(consumedWeight - receivedWeight)
+            : null;
+
+    return {
+        boxNumber: receipt ? receipt.boxNumber : last.boxNumber,
+        product: receipt ? receipt.product : last.product,
+        status,
+        receiptId: receipt ? receipt.id : "",
+        receivedAt: receipt ? `${receipt.date} ${receipt.time}` : "",
+        receivedWeight,
+        consumptions: consumptions.length,
+        consumedAt: last ? `${last.date} ${last.time}` : "",
+        consumedWeight,
+        weightDifference,
+        weightMismatch:
+            weightDifference !== null &&
+            Math.abs(weightDifference) > RECEIPT_WEIGHT_TOLERANCE,
+        entryIds: consumptions.map((entry) => entry.id),
+        timestamp: Math.max(receipt?.timestamp ?? 0, last?.timestamp ?? 0),
+    };
+}
+
+function buildInventoryReconciliation() {
+    const boxKeys = new Set([
+        ...journal.receiptsByBox.keys(),
+        ...journal.byBox.keys(),
+    ]);
+    const rows = [];
+    boxKeys.forEach((boxKey) => {
+        const { matched, unmatched } = matchBoxReceipts(
+            getBoxReceipts(boxKey),
+            getBoxConsumptions(boxKey),
+        );
+        matched.forEach(({ receipt, consumptions }) => {
+            rows.push(createInventoryRow(receipt, consumptions));
+        });
+        if (unmatched.length > 0) {
+            rows.push(createInventoryRow(null, unmatched));
+        }
+    });
+    // Latest activity first.
+    return rows
+        .sort((left, right) => right.timestamp - left.timestamp)
+        .map(({ timestamp, ...row }) => row);
+}
+
+app.get("/reports/inventory", requireSupervisor, (req, res) => {
+    const status = normalizeHeaderValue(req.query.status);
+    if (status && !INVENTORY_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: `Status must be ${INVENTORY_STATUSES.join(", ")}.`,
+            fields: ["status"],
+        });
+    }
+    const product = normalizeHeaderValue(req.query.product);
+    const boxNumber = normalizeHeaderValue(req.query.boxNumber);
+
+    try {
+        syncJournal();
+        const rows = buildInventoryReconciliation().filter(
+            (row) =>
+                (!product || normalizeHeaderValue(row.product) === product) &&
+                (!boxNumber ||
+                    normalizeHeaderValue(row.boxNumber).includes(boxNumber)),
+        );
+        const totals = Object.fromEntries(
+            INVENTORY_STATUSES.map((name) => [
+                name,
+                rows.filter((row) => row.status === name).length,
+            ]),
+        );
+
+        return res.json({
+            totals,
+            weightTolerance: RECEIPT_WEIGHT_TOLERANCE,
+            boxes: status ? rows.filter((row) => row.status === status) : rows,
+        });
+    } catch (error) {
+        console.error(`Failed to reconcile inventory from ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to build the inventory report.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+// Recent receipts, newest first, for the receipts page.
+app.get("/receipts", requireOperator, (req, res) => {
+    const boxNumber = normalizeHeaderValue(req.query.boxNumber);
+    const limit = Math.min(
+        parsePositiveInteger(req.query.limit, DEFAULT_PAGE_SIZE),
+        MAX_PAGE_SIZE,
+    );
+
+    try {
+        syncJournal();
+        const receipts = sortEntriesNewestFirst(
+            Array.from(journal.receipts.values()),
+        ).filter(
+            (receipt) =>
+                !boxNumber ||
+                normalizeHeaderValue(receipt.boxNumber).includes(boxNumber),
+        );
+        return res.json({ receipts: receipts.slice(0, limit) });
+    } catch (error) {
+        console.error(`Failed to read receipts from ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to read receipts.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+// Record a box received into the cool room.
+app.post("/receipts", requireOperator, async (req, res) => {
+    const { values, errors } = validateReceipt(req.body, {
+        lists: getActiveLists(),
+        maxNetWeight: MAX_NET_WEIGHT,
+    });
+    if (Object.keys(errors).length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const submissionId = getTrimmedString(req.body?.submissionId);
+    if (submissionId && !SUBMISSION_ID_PATTERN.test(submissionId)) {
+        return sendInvalidSubmissionId(res);
+    }
+
+    try {
+        return await enqueueWorkbookWrite(() => {
+            syncJournal();
+
+            const originalId = submissionId
+                ? journal.receiptsBySubmission.get(submissionId)
+                : null;
+            if (originalId) {
+                return res.json({
+                    success: true,
+                    receipt: journal.receipts.get(originalId),
+                    duplicate: true,
+                });
+            }
+
+            // A box is only received again once it has been consumed.
+            const open = findOpenReceipt(normalizeHeaderValue(values.boxNumber));
+            if (open) {
+                return res.status(409).json({
+                    error: `Box ${open.boxNumber} is already in the inventory, received on ${open.date} at ${open.time}.`,
+                    code: "BOX_ALREADY_RECEIVED",
+                    id: open.id,
+                });
+            }
+
+            const id = createEntryId();
+            appendJournal([
+                createReceiptRecord({
+                    ...values,
+                    ...formatSheetDateTime(new Date()),
+                    receivedBy: req.auth.name,
+                    id,
+                    status: STATUS_ACTIVE,
+                    submissionId,
+                }),
+            ]);
+            scheduleWorkbookRebuild();
+
+            return res.json({ success: true, receipt: journal.receipts.get(id) });
+        });
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            return sendWorkbookLocked(res, error);
+        }
+        console.error(`Failed to save a receipt to ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to save the receipt.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+// Void a receipt entered by mistake; it stays on the Receipts sheet.
+app.delete("/receipts/:id", requireSupervisor, async (req, res) => {
+    const id = getTrimmedString(req.params.id);
+    const reason = getTrimmedString(req.body?.reason);
+
+    try {
+        return await enqueueWorkbookWrite(() => {
+            syncJournal();
+            const current = journal.receipts.get(id);
+            if (!current) {
+                return res.status(404).json({ error: "Receipt not found.", id });
+            }
+            if (!isActiveRecord(current)) {
+                return res.status(409).json({
+                    error: "Receipt is already void.",
+                    id,
+                });
+            }
+
+            appendJournal([
+                createReceiptRecord({ ...current, status: STATUS_VOID }),
+                ...createAuditRecords([
+                    {
+                        id,
+                        action: "Void receipt",
+                        field: "status",
+                        oldValue: current.status,
+                        newValue: STATUS_VOID,
+                        changedBy: req.auth.name,
+                        reason,
+                    },
+                ]),
+            ]);
+            scheduleWorkbookRebuild();
+
+            return res.json({ success: true, receipt: journal.receipts.get(id) });
+        });
+    } catch (error) {
+        if (isWorkbookLockedError(error)) {
+            return sendWorkbookLocked(res, error);
+        }
+        console.error(`Failed to void receipt ${id} in ${JOURNAL_PATH}.`, error);
+        return res.status(500).json({
+            error: "Unable to void receipt.",
+            filePath: FILE_PATH,
+        });
+    }
+});
+
+const scaleStations = startScaleReaders(SCALE_STATIONS);
+
+enqueueWorkbookWrite(initializeJournal)
+    .then((stale) => {
+        if (stale) {
+            scheduleWorkbookRebuild(0);
+        }
+    })
+    .catch((error) => {
+        console.error(`Failed to load the journal at ${JOURNAL_PATH}.`, error);
+    });
+
+setInterval(() => {
+    enqueueWorkbookWrite(() => {
+        createBackupIfChanged("scheduled");
+        pruneBackups();
+    }).catch((error) => {
+        console.error(`Failed to back up ${FILE_PATH}.`, error);
+    });
+}, BACKUP_INTERVAL_MINUTES * 60 * 1000);
+
+app.listen(PORT, () => {
+    // Simple startup log for local development.
+    console.log(`Server running at http://localhost:${PORT}`);
+    console.log(`Excel file path: ${FILE_PATH}`);
+    console.log(`Journal path: ${JOURNAL_PATH}`);
+    console.log(
+        `Sheet layout: ${SHEET_PARTITION === "single" ? SHEET_NAME : `one sheet per ${SHEET_PARTITION}`}`,
+    );
+    console.log(`Plant time zone: ${PLANT_TIME_ZONE}`);
+    console.log(`Shift calendar: ${SHIFT_CALENDAR_PATH}`);
+    console.log(`Open orders: ${OPEN_ORDERS_PATH}`);
+    console.log(`Backup folder: ${BACKUP_DIR}`);
+    console.log(
+        `Allowed origins: ${CORS_ORIGINS.join(", ") || "same origin only"}`,
+    );
+    console.log(
+        `Scales: ${SCALE_STATIONS.map(({ id }) => id).join(", ") || "none"}`,
+    );
+    console.log(
+        `API tokens: ${API_TOKENS.map(({ name, role }) => `${name} (${role})`).join(", ") || "none"}`,
+    );
 });
@@ -0,0 +1,87 @@
+// Service worker that keeps the operator pages on the tablet, so the entry
+// wizard still opens when the server is briefly down.
+// Saves made meanwhile wait in the pending saves queue (see app.js).
+//
+// The server fills in the version from the files it serves, so deploying new
+// files installs a new worker, which caches them afresh and drops the old.
+const CACHE_VERSION = "__ASSET_VERSION__";
+const CACHE_PREFIX = "nylene-app-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+// Everything the operator pages load, relative to the worker's scope.
+const APP_FILES = [
+    "index.html",
+    "signin.html",
+    "app.js",
+    "validation.js",
+    "scanner.js",
+    "style.css",
+    "favico.svg",
+    "manifest.webmanifest",
+    "vendor/zxing.js",
+];
+
+function getScopeUrl(file) {
+    return new URL(file, self.registration.scope).href;
+}
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches
+            .open(CACHE_NAME)
+            // Skip the browser's HTTP cache so a new version gets new files.
+            .then((cache) =>
+                cache.addAll(
+                    APP_FILES.map(
+                        (file) =>
+                            new Request(getScopeUrl(file), { cache: "reload" }),
+                    ),
+                ),
+            )
+            .then(() => self.skipWaiting()),
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((names) =>
+                Promise.all(
+                    names
+                        .filter(
+                            (name) =>
+                                name.startsWith(CACHE_PREFIX) &&
+                                name !== CACHE_NAME,
+                        )
+                        .map((name) => caches.delete(name)),
+                ),
+            )
+            .then(() => self.clients.claim()),
+    );
+});
+
+// Cached files come from the cache, so every page of one version matches;
+// the API and anything else goes to the network as usual.
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // The server sends the form page for its root as well.
+    const cacheUrl =
+        url.href.split(/[?#]/)[0] === self.registration.scope
+            ? getScopeUrl("index.html")
+            : url.origin + url.pathname;
+    if (!APP_FILES.some((file) => getScopeUrl(file) === cacheUrl)) {
+        return;
+    }
+
+    event.respondWith(
+        caches
+            .open(CACHE_NAME)
+            .then((cache) => cache.match(cacheUrl))
+            .then((cached) => cached || fetch(request)),
+    );
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    createDateCell,
+    createTimeCell,
+    formatIsoTimestamp,
+    getDateTimeTimestamp,
+    getWallTimestamp,
+    parseIsoTimestamp,
+    resolveTimeZone,
+    wallTimestampToDate,
+} = require("../plant-time.cjs");
+
+const ZONE = "America/New_York";
+
+// In 2026 New York springs forward on 8 March at 2:00 and falls back on
+// 1 November at 2:00.
+test("getWallTimestamp follows the clocks across both changes", () => {
+    assert.equal(
+        getWallTimestamp(new Date("2026-03-08T06:59:59Z"), ZONE),
+        Date.UTC(2026, 2, 8, 1, 59, 59),
+    );
+    assert.equal(
+        getWallTimestamp(new Date("2026-03-08T07:00:00Z"), ZONE),
+        Date.UTC(2026, 2, 8, 3, 0, 0),
+    );
+    assert.equal(
+        getWallTimestamp(new Date("2026-11-01T05:30:00Z"), ZONE),
+        Date.UTC(2026, 10, 1, 1, 30, 0),
+    );
+    assert.equal(
+        getWallTimestamp(new Date("2026-11-01T06:30:00Z"), ZONE),
+        Date.UTC(2026, 10, 1, 1, 30, 0),
+    );
+});
+
+test("formatIsoTimestamp writes the offset in force at the time", () => {
+    assert.equal(
+        formatIsoTimestamp(new Date("2026-03-08T06:59:30.120Z"), ZONE),
+        "2026-03-08T01:59:30.120-05:00",
+    );
+    assert.equal(
+        formatIsoTimestamp(new Date("2026-03-08T07:00:00Z"), ZONE),
+        "2026-03-08T03:00:00.000-04:00",
+    );
+    assert.equal(
+        formatIsoTimestamp(new Date("2026-11-01T06:30:00Z"), ZONE),
+        "2026-11-01T01:30:00.000-05:00",
+    );
+    assert.equal(
+        formatIsoTimestamp(new Date("2026-06-01T12:00:00Z"), "UTC"),
+        "2026-06-01T12:00:00.000+00:00",
+    );
+});
+
+test("wallTimestampToDate takes the earlier of a repeated reading", () => {
+    assert.equal(
+        wallTimestampToDate(Date.UTC(2026, 10, 1, 1, 30), ZONE).toISOString(),
+        "2026-11-01T05:30:00.000Z",
+    );
+});
+
+test("wallTimestampToDate keeps the old offset for a skipped reading", () => {
+    assert.equal(
+        wallTimestampToDate(Date.UTC(2026, 2, 8, 2, 30), ZONE).toISOString(),
+        "2026-03-08T07:30:00.000Z",
+    );
+});
+
+test("wallTimestampToDate round-trips ordinary readings", () => {
+    [
+        "2026-01-15T17:45:10.000Z",
+        "2026-07-04T03:00:00.000Z",
+        "2026-11-01T07:00:00.000Z",
+    ].forEach((iso) => {
+        const date = new Date(iso);
+        assert.equal(
+            wallTimestampToDate(getWallTimestamp(date, ZONE), ZONE).toISOString(),
+            iso,
+        );
+    });
+});
+
+test("parseIsoTimestamp keeps the instant and the wall clock", () => {
+    assert.deepEqual(parseIsoTimestamp("2026-11-01T01:30:00-04:00"), {
+        instant: Date.parse("2026-11-01T05:30:00Z"),
+        wallTimestamp: Date.UTC(2026, 10, 1, 1, 30),
+    });
+    assert.deepEqual(parseIsoTimestamp("2026-11-01T01:30:00.5-0500"), {
+        instant: Date.parse("2026-11-01T06:30:00.500Z"),
+        wallTimestamp: Date.UTC(2026, 10, 1, 1, 30, 0, 500),
+    });
+    assert.equal(
+        parseIsoTimestamp("2026-03-08T07:00Z").instant,
+        Date.parse("2026-03-08T07:00:00Z"),
+    );
+});
+
+test("parseIsoTimestamp rejects times without a zone or with bad dates", () => {
+    assert.equal(parseIsoTimestamp("2026-03-08T07:00:00"), null);
+    assert.equal(parseIsoTimestamp("2026-02-31T07:00:00Z"), null);
+    assert.equal(parseIsoTimestamp("2026-03-08T24:00:00Z"), null);
+    assert.equal(parseIsoTimestamp("yesterday"), null);
+    assert.equal(parseIsoTimestamp(undefined), null);
+});
+
+test("resolveTimeZone names known zones only", () => {
+    assert.equal(resolveTimeZone(ZONE), ZONE);
+    assert.equal(resolveTimeZone("Not/AZone"), null);
+});
+
+test("date and time cells convert to Excel serials and back", () => {
+    const wallTimestamp = Date.UTC(2026, 10, 1, 13, 30, 15);
+    const dateCell = createDateCell(wallTimestamp);
+    const timeCell = createTimeCell(wallTimestamp);
+
+    assert.equal(dateCell.t, "n");
+    assert.equal(dateCell.v, 46327);
+    assert.equal(timeCell.v, (13 * 3600 + 30 * 60 + 15) / 86400);
+    assert.equal(getDateTimeTimestamp(dateCell.v, timeCell.v), wallTimestamp);
+    assert.equal(
+        getDateTimeTimestamp("11/1/2026", "01:30:15 PM"),
+        wallTimestamp,
+    );
+    assert.equal(
+        getDateTimeTimestamp("11/1/26", "12:05 AM"),
+        Date.UTC(2026, 10, 1, 0, 5, 0),
+    );
+    assert.equal(getDateTimeTimestamp("November 1", "13:30"), null);
+});
@@ -0,0 +1,270 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    inferChipType,
+    validateEntry,
+    validateReceipt,
+} = require("../validation.js");
+
+const lists = {
+    products: ["BS700D", "BS640T"],
+    silos: ["A-Bulk", "B-Bulk"],
+    suppliers: ["BASF", "AdvanSix"],
+    destinations: [{ value: "DCA", label: "DCA" }],
+};
+
+const validBox = {
+    chipType: "box",
+    boxNumber: "A123",
+    product: "BS700D",
+    netWeight: "1000",
+    operatorName: "Jane Doe",
+    destination: "DCA",
+};
+
+test("inferChipType reads the chip type from the source", () => {
+    assert.equal(inferChipType({ boxNumber: "A123" }, lists), "box");
+    assert.equal(inferChipType({ silo: "A-Bulk" }, lists), "bulk");
+    assert.equal(inferChipType({ supplier: "BASF" }, lists), "purchased");
+    // Older clients sent the silo or supplier in the box number.
+    assert.equal(inferChipType({ boxNumber: "B-Bulk" }, lists), "bulk");
+    assert.equal(inferChipType({ boxNumber: "AdvanSix" }, lists), "purchased");
+    assert.equal(inferChipType({ boxNumber: "BASF" }), "box");
+});
+
+test("validateEntry accepts a complete box entry", () => {
+    const { values, errors } = validateEntry(validBox, { lists });
+    assert.deepEqual(errors, {});
+    assert.equal(values.chipType, "box");
+    assert.equal(values.silo, "");
+    assert.equal(values.supplier, "");
+});
+
+test("validateEntry trims values and takes numbers as text", () => {
+    const { values, errors } = validateEntry(
+        { ...validBox, boxNumber: " A123 ", netWeight: 1000.5 },
+        { lists },
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(values.boxNumber, "A123");
+    assert.equal(values.netWeight, "1000.5");
+});
+
+test("validateEntry moves a legacy silo or supplier out of the box number", () => {
+    const bulk = validateEntry(
+        { ...validBox, chipType: undefined, boxNumber: "A-Bulk" },
+        { lists },
+    );
+    assert.deepEqual(bulk.errors, {});
+    assert.equal(bulk.values.chipType, "bulk");
+    assert.equal(bulk.values.silo, "A-Bulk");
+    assert.equal(bulk.values.boxNumber, "");
+
+    const purchased = validateEntry(
+        { ...validBox, chipType: undefined, boxNumber: "BASF" },
+        { lists },
+    );
+    assert.deepEqual(purchased.errors, {});
+    assert.equal(purchased.values.chipType, "purchased");
+    assert.equal(purchased.values.supplier, "BASF");
+});
+
+test("validateEntry leaves the chip type to the form when required", () => {
+    const { errors } = validateEntry(
+        { ...validBox, chipType: "" },
+        { lists, requireChipType: true },
+    );
+    assert.equal(errors.chipType, "Please select what type of chip this is.");
+});
+
+test("validateEntry reports each missing field", () => {
+    const { errors } = validateEntry({ chipType: "box" }, { lists });
+    assert.deepEqual(errors, {
+        boxNumber: "Please enter a box number.",
+        product: "Please select a product.",
+        netWeight: "Please enter a net weight.",
+        operatorName: "Please enter first and last name.",
+        destination: "Please select a chip destination.",
+    });
+
+    assert.equal(
+        validateEntry({ chipType: "bulk" }, { lists }).errors.silo,
+        "Please select a bulk/silo option.",
+    );
+    assert.equal(
+        validateEntry({ chipType: "purchased" }, { lists }).errors.supplier,
+        "Please select a purchased chip option.",
+    );
+});
+
+test("validateEntry reports values that are not allowed", () => {
+    const check = (input) =>
+        validateEntry({ ...validBox, ...input }, { lists }).errors;
+
+    assert.deepEqual(check({ chipType: "pellet" }), {
+        chipType: "Please select what type of chip this is.",
+    });
+    assert.deepEqual(check({ boxNumber: "A-12" }), {
+        boxNumber: "Box number must be alphanumeric only.",
+    });
+    assert.deepEqual(check({ chipType: "bulk", silo: "Z-Bulk" }), {
+        silo: "Please select a valid bulk/silo option.",
+    });
+    assert.deepEqual(check({ chipType: "purchased", supplier: "Acme" }), {
+        supplier: "Please select a valid purchased chip option.",
+    });
+    assert.deepEqual(check({ product: "NOPE" }), {
+        product: "Please select a product from the list.",
+    });
+    assert.deepEqual(check({ operatorName: "Jane" }), {
+        operatorName: "Please enter first and last name.",
+    });
+    assert.deepEqual(check({ destination: "Moon" }), {
+        destination: "Please select a destination from the list.",
+    });
+});
+
+test("validateEntry rejects the legacy PURCHASED product", () => {
+    const { errors } = validateEntry(
+        {
+            ...validBox,
+            chipType: "purchased",
+            supplier: "BASF",
+            product: "PURCHASED",
+        },
+        { lists },
+    );
+    assert.deepEqual(errors, {
+        product: "Please select a product from the list.",
+    });
+});
+
+test("validateEntry checks the net weight against the limit", () => {
+    const check = (netWeight, options = {}) =>
+        validateEntry({ ...validBox, netWeight }, { lists, ...options }).errors
+            .netWeight;
+
+    assert.equal(check("0"), "Net weight must be a positive number.");
+    assert.equal(check("-5"), "Net weight must be a positive number.");
+    assert.equal(check("12abc"), "Net weight must be a positive number.");
+    assert.equal(check(".5"), undefined);
+    assert.equal(check("5000"), undefined);
+    assert.equal(check("5001"), "Net weight must be 5000 lbs or less.");
+    assert.equal(
+        check("1200", { maxNetWeight: 1000 }),
+        "Net weight must be 1000 lbs or less.",
+    );
+});
+
+test("validateEntry checks the line and production order when given", () => {
+    const orders = [
+        { order: "PO-1", line: "Line 1" },
+        { order: "PO-2", line: "Line 2" },
+    ];
+    const check = (input) =>
+        validateEntry({ ...validBox, ...input }, { lists, orders }).errors;
+
+    assert.deepEqual(check({}), {});
+    assert.deepEqual(check({ line: "Line 1", productionOrder: "PO-1" }), {});
+    assert.deepEqual(check({ line: "Line 9" }), {
+        line: "Please select a line from the list.",
+    });
+    assert.deepEqual(check({ productionOrder: "PO-9" }), {
+        productionOrder: "Production order PO-9 is not open.",
+    });
+    assert.deepEqual(check({ line: "Line 1", productionOrder: "PO-2" }), {
+        productionOrder: "Production order PO-2 runs on Line 2.",
+    });
+});
+
+test("validateEntry only checks the fields asked for", () => {
+    const { errors } = validateEntry(
+        { chipType: "box" },
+        { lists, fields: ["chipType", "boxNumber"] },
+    );
+    assert.deepEqual(errors, { boxNumber: "Please enter a box number." });
+});
+
+test("validateReceipt works the net weight out from gross and tare", () => {
+    const { values, errors } = validateReceipt(
+        {
+            boxNumber: "A123",
+            product: "BS700D",
+            grossWeight: "1050.25",
+            tareWeight: "50.1",
+        },
+        { lists },
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(values.netWeight, "1000.15");
+});
+
+test("validateReceipt checks a given net weight against gross and tare", () => {
+    const receipt = {
+        boxNumber: "A123",
+        product: "BS700D",
+        grossWeight: "1050",
+        tareWeight: "50",
+    };
+    assert.deepEqual(
+        validateReceipt({ ...receipt, netWeight: "1000.01" }, { lists }).errors,
+        {},
+    );
+    assert.deepEqual(
+        validateReceipt({ ...receipt, netWeight: "990" }, { lists }).errors,
+        { netWeight: "Net weight must be the gross weight less the tare." },
+    );
+});
+
+test("validateReceipt needs gross and tare together and gross above tare", () => {
+    const base = { boxNumber: "A123", product: "BS700D" };
+
+    assert.deepEqual(
+        validateReceipt({ ...base, grossWeight: "1050" }, { lists }).errors,
+        { tareWeight: "Please enter a tare weight." },
+    );
+    assert.deepEqual(
+        validateReceipt(
+            { ...base, grossWeight: "50", tareWeight: "50" },
+            { lists },
+        ).errors,
+        { netWeight: "Gross weight must be more than the tare weight." },
+    );
+    // An empty box has no tare, but the gross must still be positive.
+    assert.deepEqual(
+        validateReceipt(
+            { ...base, grossWeight: "1000", tareWeight: "0" },
+            { lists },
+        ).errors,
+        {},
+    );
+    assert.deepEqual(
+        validateReceipt(
+            { ...base, grossWeight: "0", tareWeight: "0" },
+            { lists },
+        ).errors,
+        { grossWeight: "Gross weight must be a positive number." },
+    );
+});
+
+test("validateReceipt takes a net weight alone and an optional supplier", () => {
+    const base = { boxNumber: "A123", product: "BS700D", netWeight: "1000" };
+
+    assert.deepEqual(validateReceipt(base, { lists }).errors, {});
+    assert.deepEqual(
+        validateReceipt({ ...base, supplier: "BASF" }, { lists }).errors,
+        {},
+    );
+    assert.deepEqual(
+        validateReceipt({ ...base, supplier: "Acme" }, { lists }).errors,
+        { supplier: "Please select a supplier from the list." },
+    );
+    assert.deepEqual(
+        validateReceipt({ boxNumber: "", product: "" }, { lists }).errors,
+        {
+            boxNumber: "Please enter a box number.",
+            product: "Please select a product.",
+            netWeight: "Please enter a net weight.",
+        },
+    );
+});
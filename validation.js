@@ -0,0 +1,345 @@
+// Validation rules shared by the browser form (app.js) and the API (server.cjs).
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ConsumptionValidation = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    const CHIP_TYPES = ["box", "bulk", "purchased"];
+    // Product older clients sent for purchased chips instead of the grade.
+    // Rows saved with it are kept as they are, but new saves need the grade.
+    const PURCHASED_PRODUCT_VALUE = "PURCHASED";
+    const DEFAULT_MAX_NET_WEIGHT = 5000;
+    // Fields in the order the form shows them, so the first error is on top.
+    const FIELDS = [
+        "chipType",
+        "boxNumber",
+        "silo",
+        "supplier",
+        "product",
+        "netWeight",
+        "line",
+        "productionOrder",
+        "operatorName",
+        "destination",
+    ];
+    // Box receipt fields in the order the receipts form shows them.
+    const RECEIPT_FIELDS = [
+        "boxNumber",
+        "product",
+        "supplier",
+        "grossWeight",
+        "tareWeight",
+        "netWeight",
+    ];
+
+    function normalizeValue(value) {
+        if (typeof value === "number" && Number.isFinite(value)) {
+            return String(value);
+        }
+        return typeof value === "string" ? value.trim() : "";
+    }
+
+    function toValueSet(list) {
+        if (!Array.isArray(list)) {
+            return null;
+        }
+        return new Set(
+            list.map((item) =>
+                typeof item === "string" ? item : item?.value,
+            ),
+        );
+    }
+
+    // Older callers omit the chip type, so work it out from the source.
+    function inferChipType(entry, lists) {
+        if (entry.silo || toValueSet(lists?.silos)?.has(entry.boxNumber)) {
+            return "bulk";
+        }
+        if (
+            entry.supplier ||
+            toValueSet(lists?.suppliers)?.has(entry.boxNumber)
+        ) {
+            return "purchased";
+        }
+        return "box";
+    }
+
+    // Split the chip source into box number, silo and supplier by chip type.
+    // Older clients sent the silo or supplier name in boxNumber.
+    function normalizeSource(chipType, entry) {
+        if (chipType === "bulk") {
+            return {
+                boxNumber: "",
+                silo: entry.silo || entry.boxNumber,
+                supplier: "",
+            };
+        }
+        if (chipType === "purchased") {
+            return {
+                boxNumber: "",
+                silo: "",
+                supplier: entry.supplier || entry.boxNumber,
+            };
+        }
+        return { boxNumber: entry.boxNumber, silo: "", supplier: "" };
+    }
+
+    function validateBoxNumber(chipType, boxNumber) {
+        if (chipType !== "box") {
+            return "";
+        }
+        if (!boxNumber) {
+            return "Please enter a box number.";
+        }
+        return /^[a-z0-9]+$/i.test(boxNumber)
+            ? ""
+            : "Box number must be alphanumeric only.";
+    }
+
+    function validateSilo(chipType, silo, lists) {
+        if (chipType !== "bulk") {
+            return "";
+        }
+
+        const silos = toValueSet(lists.silos);
+        if (!silo) {
+            return "Please select a bulk/silo option.";
+        }
+        return silos && !silos.has(silo)
+            ? "Please select a valid bulk/silo option."
+            : "";
+    }
+
+    function validateSupplier(chipType, supplier, lists) {
+        if (chipType !== "purchased") {
+            return "";
+        }
+
+        const suppliers = toValueSet(lists.suppliers);
+        if (!supplier) {
+            return "Please select a purchased chip option.";
+        }
+        return suppliers && !suppliers.has(supplier)
+            ? "Please select a valid purchased chip option."
+            : "";
+    }
+
+    function validateProduct(product, lists) {
+        if (!product) {
+            return "Please select a product.";
+        }
+
+        const products = toValueSet(lists.products);
+        return product === PURCHASED_PRODUCT_VALUE ||
+            (products && !products.has(product))
+            ? "Please select a product from the list."
+            : "";
+    }
+
+    function validateNetWeight(netWeight, maxNetWeight) {
+        if (!netWeight) {
+            return "Please enter a net weight.";
+        }
+
+        const value = Number(netWeight);
+        if (!/^\d*\.?\d+$/.test(netWeight) || !(value > 0)) {
+            return "Net weight must be a positive number.";
+        }
+        return value > maxNetWeight
+            ? `Net weight must be ${maxNetWeight} lbs or less.`
+            : "";
+    }
+
+    function validateWeight(label, value, allowZero) {
+        if (!value) {
+            return `Please enter a ${label.toLowerCase()}.`;
+        }
+        if (!/^\d*\.?\d+$/.test(value) || !(Number(value) > 0 || allowZero)) {
+            return `${label} must be a positive number.`;
+        }
+        return "";
+    }
+
+    function validateOperatorName(operatorName) {
+        const parts = operatorName.split(/\s+/).filter(Boolean);
+        return parts.length < 2 ? "Please enter first and last name." : "";
+    }
+
+    function validateDestination(destination, lists) {
+        if (!destination) {
+            return "Please select a chip destination.";
+        }
+
+        const destinations = toValueSet(lists.destinations);
+        return destinations && !destinations.has(destination)
+            ? "Please select a destination from the list."
+            : "";
+    }
+
+    // The line and production order are optional; when given they must be
+    // on the open orders list, and an order must run on the given line.
+    function validateLine(line, orders) {
+        if (!line || !Array.isArray(orders)) {
+            return "";
+        }
+        return orders.some((order) => order.line === line)
+            ? ""
+            : "Please select a line from the list.";
+    }
+
+    function validateProductionOrder(productionOrder, line, orders) {
+        if (!productionOrder || !Array.isArray(orders)) {
+            return "";
+        }
+
+        const order = orders.find((item) => item.order === productionOrder);
+        if (!order) {
+            return `Production order ${productionOrder} is not open.`;
+        }
+        return line && order.line && order.line !== line
+            ? `Production order ${productionOrder} runs on ${order.line}.`
+            : "";
+    }
+
+    // Normalize an entry and return { values, errors } keyed by field.
+    // options.lists holds the active master data lists and options.orders
+    // the open production orders; a missing list skips that check.
+    // options.fields limits the check, e.g. to the first page.
+    // options.requireChipType turns off inference for the form's own input.
+    function validateEntry(input, options = {}) {
+        const lists = options.lists || {};
+        const maxNetWeight = options.maxNetWeight || DEFAULT_MAX_NET_WEIGHT;
+        const fields = options.fields || FIELDS;
+
+        const source = {
+            boxNumber: normalizeValue(input?.boxNumber),
+            silo: normalizeValue(input?.silo),
+            supplier: normalizeValue(input?.supplier),
+        };
+        const givenChipType = normalizeValue(input?.chipType).toLowerCase();
+        const chipType =
+            givenChipType ||
+            (options.requireChipType ? "" : inferChipType(source, lists));
+        const values = {
+            chipType,
+            ...normalizeSource(chipType, source),
+            product: normalizeValue(input?.product),
+            netWeight: normalizeValue(input?.netWeight),
+            line: normalizeValue(input?.line),
+            productionOrder: normalizeValue(input?.productionOrder),
+            operatorName: normalizeValue(input?.operatorName),
+            destination: normalizeValue(input?.destination),
+        };
+
+        const checks = {
+            chipType: () =>
+                CHIP_TYPES.includes(values.chipType)
+                    ? ""
+                    : "Please select what type of chip this is.",
+            boxNumber: () =>
+                validateBoxNumber(values.chipType, values.boxNumber),
+            silo: () => validateSilo(values.chipType, values.silo, lists),
+            supplier: () =>
+                validateSupplier(values.chipType, values.supplier, lists),
+            product: () => validateProduct(values.product, lists),
+            netWeight: () => validateNetWeight(values.netWeight, maxNetWeight),
+            line: () => validateLine(values.line, options.orders),
+            productionOrder: () =>
+                validateProductionOrder(
+                    values.productionOrder,
+                    values.line,
+                    options.orders,
+                ),
+            operatorName: () => validateOperatorName(values.operatorName),
+            destination: () =>
+                validateDestination(values.destination, lists),
+        };
+
+        const errors = {};
+        FIELDS.filter((field) => fields.includes(field)).forEach((field) => {
+            const message = checks[field]();
+            if (message) {
+                errors[field] = message;
+            }
+        });
+
+        return { values, errors };
+    }
+
+    // Normalize a box received into the cool room and return
+    // { values, errors } keyed by field. The supplier is optional. Gross and
+    // tare go together; the net weight is worked out from them when left out,
+    // and must match them when given. Options are as for validateEntry.
+    function validateReceipt(input, options = {}) {
+        const lists = options.lists || {};
+        const maxNetWeight = options.maxNetWeight || DEFAULT_MAX_NET_WEIGHT;
+        const values = {};
+        RECEIPT_FIELDS.forEach((field) => {
+            values[field] = normalizeValue(input?.[field]);
+        });
+
+        const errors = {};
+        const hasGrossOrTare = Boolean(values.grossWeight || values.tareWeight);
+        const checks = {
+            boxNumber: () => validateBoxNumber("box", values.boxNumber),
+            product: () => validateProduct(values.product, lists),
+            supplier: () =>
+                values.supplier &&
+                toValueSet(lists.suppliers)?.has(values.supplier) === false
+                    ? "Please select a supplier from the list."
+                    : "",
+            grossWeight: () =>
+                hasGrossOrTare
+                    ? validateWeight("Gross weight", values.grossWeight)
+                    : "",
+            tareWeight: () =>
+                hasGrossOrTare
+                    ? validateWeight("Tare weight", values.tareWeight, true)
+                    : "",
+            netWeight: () => {
+                const gross = Number(values.grossWeight);
+                const tare = Number(values.tareWeight);
+                if (errors.grossWeight || errors.tareWeight) {
+                    return values.netWeight
+                        ? validateNetWeight(values.netWeight, maxNetWeight)
+                        : "";
+                }
+                if (hasGrossOrTare && !(gross > tare)) {
+                    return "Gross weight must be more than the tare weight.";
+                }
+                const net = Math.round((gross - tare) * 100) / 100;
+                if (!values.netWeight && hasGrossOrTare) {
+                    values.netWeight = String(net);
+                }
+                const message = validateNetWeight(values.netWeight, maxNetWeight);
+                if (message || !hasGrossOrTare) {
+                    return message;
+                }
+                return Math.abs(Number(values.netWeight) - net) > 0.01
+                    ? "Net weight must be the gross weight less the tare."
+                    : "";
+            },
+        };
+
+        RECEIPT_FIELDS.forEach((field) => {
+            const message = checks[field]();
+            if (message) {
+                errors[field] = message;
+            }
+        });
+
+        return { values, errors };
+    }
+
+    return {
+        CHIP_TYPES,
+        DEFAULT_MAX_NET_WEIGHT,
+        FIELDS,
+        RECEIPT_FIELDS,
+        inferChipType,
+        validateEntry,
+        validateReceipt,
+    };
+});
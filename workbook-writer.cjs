@@ -0,0 +1,108 @@
+const XLSX = require("xlsx");
+const fs = require("fs");
+const path = require("path");
+const { parentPort, workerData } = require("worker_threads");
+
+// Worker thread that rebuilds the business-facing workbook from a journal
+// snapshot, so writing a large workbook never holds up the API.
+
+// Start from the current workbook so sheets people add in Excel survive.
+// Only the rebuilt sheets' header rows are read, to keep their column widths.
+function readExistingWorkbook(filePath, rebuiltSheets) {
+    if (!fs.existsSync(filePath)) {
+        return { workbook: XLSX.utils.book_new(), columns: {} };
+    }
+
+    const { SheetNames } = XLSX.readFile(filePath, { bookSheets: true });
+    const workbook = XLSX.readFile(filePath, {
+        sheets: SheetNames.filter((name) => !rebuiltSheets.includes(name)),
+        cellStyles: true,
+    });
+    const headers = XLSX.readFile(filePath, {
+        sheets: rebuiltSheets,
+        sheetRows: 1,
+        cellStyles: true,
+    });
+
+    const columns = {};
+    rebuiltSheets.forEach((name) => {
+        columns[name] = headers.Sheets[name]?.["!cols"];
+    });
+    return { workbook, columns };
+}
+
+// Write next to the workbook; the server renames it into place under the
+// lock file, so a crash never leaves half a workbook.
+function writeWorkbookTemp(workbook, filePath) {
+    const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.tmp`,
+    );
+    const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+
+    try {
+        fs.writeFileSync(tempPath, buffer);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+    return tempPath;
+}
+
+function startsWithHeaders(worksheet, headers) {
+    const headerRow =
+        XLSX.utils.sheet_to_json(worksheet, { header: 1, range: 0 })[0] || [];
+    return headers.every(
+        (header, index) =>
+            String(headerRow[index] ?? "").trim().toLowerCase() ===
+            header.toLowerCase(),
+    );
+}
+
+// Sheets of entries that aren't rebuilt are left over from an earlier
+// layout, e.g. Sheet1 after switching to a sheet per month, so they go.
+function dropStaleEntrySheets(workbook, rebuiltSheets, entryHeaders) {
+    workbook.SheetNames = workbook.SheetNames.filter((name) => {
+        const worksheet = workbook.Sheets[name];
+        if (
+            rebuiltSheets.includes(name) ||
+            !worksheet ||
+            !startsWithHeaders(worksheet, entryHeaders)
+        ) {
+            return true;
+        }
+        delete workbook.Sheets[name];
+        return false;
+    });
+}
+
+// sheets: [{ name, headers, rows }] replacing the sheets of the same name.
+// They go first in the given order; sheets people added follow.
+function rebuildWorkbook({ filePath, sheets, entryHeaders }) {
+    const names = sheets.map((sheet) => sheet.name);
+    const { workbook, columns } = readExistingWorkbook(filePath, names);
+    dropStaleEntrySheets(workbook, names, entryHeaders);
+
+    sheets.forEach(({ name, headers, rows }) => {
+        const worksheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+        if (columns[name]) {
+            worksheet["!cols"] = columns[name];
+        }
+        workbook.Sheets[name] = worksheet;
+    });
+    workbook.SheetNames = [
+        ...names,
+        ...workbook.SheetNames.filter((name) => !names.includes(name)),
+    ];
+
+    return writeWorkbookTemp(workbook, filePath);
+}
+
+try {
+    const tempPath = rebuildWorkbook(workerData);
+    parentPort.postMessage({ success: true, tempPath });
+} catch (error) {
+    parentPort.postMessage({
+        error: { message: error.message, code: error.code },
+    });
+}